@@ -35,11 +35,103 @@ export const config = {
         file: process.env.LOG_FILE || 'logs/app.log'
     },
 
+    // Configurações do histórico de posições (arquivos NDJSON segmentados por hora)
+    history: {
+        enabled: process.env.HISTORY_ENABLED !== 'false',
+        dir: process.env.HISTORY_DIR || 'data/historico',
+        retentionHours: parseInt(process.env.HISTORY_RETENTION_HOURS) || 168, // 7 dias
+        maxQueryHours: parseInt(process.env.HISTORY_MAX_QUERY_HOURS) || 24,
+        // Janela padrão para reconstruir a frota em um instante passado
+        snapshotToleranceMinutes: parseInt(process.env.HISTORY_SNAPSHOT_TOLERANCE_MINUTES) || 5
+    },
+
+    // Configurações das atualizações em tempo real (SSE)
+    stream: {
+        heartbeatInterval: parseInt(process.env.STREAM_HEARTBEAT_INTERVAL_MS) || 15000, // 15 segundos
+        // Diferenças mantidas para retomada com Last-Event-ID
+        bufferSize: parseInt(process.env.STREAM_BUFFER_SIZE) || 30,
+        maxClients: parseInt(process.env.STREAM_MAX_CLIENTS) || 500
+    },
+
+    // Configurações das assinaturas em tempo real via WebSocket
+    websocket: {
+        path: process.env.WS_PATH || '/api/sppo/ws',
+        maxClients: parseInt(process.env.WS_MAX_CLIENTS) || 500,
+        maxSubscriptions: parseInt(process.env.WS_MAX_SUBSCRIPTIONS) || 20,
+        pingInterval: parseInt(process.env.WS_PING_INTERVAL_MS) || 30000 // 30 segundos
+    },
+
+    // Configurações da validação da qualidade dos dados de GPS
+    quality: {
+        enabled: process.env.QUALITY_ENABLED !== 'false',
+        // descartar (remove os registros reprovados) ou sinalizar (mantém com o campo `qualidade`)
+        mode: process.env.QUALITY_MODE || 'descartar',
+        rules: process.env.QUALITY_RULES?.split(',').map(rule => rule.trim()) ||
+            ['coordenada_zero', 'fora_da_area', 'data_invalida', 'data_futura', 'duplicado', 'salto'],
+        // Área válida [minLon, minLat, maxLon, maxLat] (região metropolitana do Rio)
+        bounds: process.env.QUALITY_BOUNDS?.split(',').map(parseFloat) || [-43.85, -23.15, -43.05, -22.70],
+        futureToleranceMinutes: parseInt(process.env.QUALITY_FUTURE_TOLERANCE_MINUTES) || 5,
+        maxSpeedKmh: parseInt(process.env.QUALITY_MAX_SPEED_KMH) || 120,
+        minJumpKm: parseFloat(process.env.QUALITY_MIN_JUMP_KM) || 0.5,
+        // Snapshots considerados no relatório de qualidade
+        windowSnapshots: parseInt(process.env.QUALITY_WINDOW_SNAPSHOTS) || 60
+    },
+
+    // Configurações da classificação de atividade (em_movimento, parado, garagem, sem_sinal)
+    activity: {
+        movingSpeedKmh: parseFloat(process.env.ACTIVITY_MOVING_SPEED_KMH) || 0,
+        silentAfterMinutes: parseInt(process.env.ACTIVITY_SILENT_AFTER_MINUTES) || 5,
+        garageAfterMinutes: parseInt(process.env.ACTIVITY_GARAGE_AFTER_MINUTES) || 60,
+        stationaryRadiusKm: parseFloat(process.env.ACTIVITY_STATIONARY_RADIUS_KM) || 0.05,
+        // Tempo que um veículo que sumiu do feed continua listado em /sem-sinal
+        trackingRetentionHours: parseInt(process.env.ACTIVITY_TRACKING_RETENTION_HOURS) || 24,
+        // Garagens conhecidas: "lat,lon,raioKm;lat,lon,raioKm"
+        garages: process.env.ACTIVITY_GARAGES?.split(';').filter(Boolean).map(garage => {
+            const [latitude, longitude, raio] = garage.split(',').map(parseFloat);
+            return { latitude, longitude, raio: raio || 0.2 };
+        }) || [],
+        // Estados retornados quando a consulta não informa `status`
+        defaultStatus: process.env.ACTIVITY_DEFAULT_STATUS?.split(',') || ['em_movimento', 'parado']
+    },
+
+    // Configurações da detecção de agrupamentos (bunching) por linha
+    bunching: {
+        distanceKm: parseFloat(process.env.BUNCHING_DISTANCE_KM) || 0.3,
+        // Ônibus em sentidos opostos (rumos mais diferentes que isso) não são agrupados
+        maxHeadingDifference: parseInt(process.env.BUNCHING_MAX_HEADING_DIFFERENCE) || 45
+    },
+
     // Configurações da API SPPO
     sppo: {
         apiUrl: process.env.SPPO_API_URL || 'https://dados.mobilidade.rio/gps/sppo',
         timeout: parseInt(process.env.SPPO_TIMEOUT) || 30000,
-        retryAttempts: parseInt(process.env.SPPO_RETRY_ATTEMPTS) || 3
+        retryAttempts: parseInt(process.env.SPPO_RETRY_ATTEMPTS) || 3,
+        retryBaseDelay: parseInt(process.env.SPPO_RETRY_BASE_DELAY_MS) || 1000,
+        retryMaxDelay: parseInt(process.env.SPPO_RETRY_MAX_DELAY_MS) || 10000,
+        circuitBreaker: {
+            failureThreshold: parseInt(process.env.SPPO_BREAKER_FAILURE_THRESHOLD) || 5,
+            resetTimeout: parseInt(process.env.SPPO_BREAKER_RESET_TIMEOUT_MS) || 60000 // 1 minuto
+        },
+        // Tamanho da célula do índice espacial em graus (~1,1 km)
+        gridCellSize: parseFloat(process.env.SPPO_GRID_CELL_DEGREES) || 0.01,
+        // Atualização em segundo plano do snapshot
+        poll: {
+            enabled: process.env.SPPO_POLL_ENABLED !== 'false',
+            interval: parseInt(process.env.SPPO_POLL_INTERVAL_MS) || 60000 // 1 minuto
+        },
+        // Fonte de dados: http (API ao vivo), replay (snapshots gravados) ou synthetic (frota gerada)
+        source: process.env.SPPO_SOURCE || 'http',
+        replay: {
+            path: process.env.SPPO_REPLAY_PATH || 'data/replay',
+            speed: parseFloat(process.env.SPPO_REPLAY_SPEED) || 1, // 1 = tempo real
+            loop: process.env.SPPO_REPLAY_LOOP !== 'false',
+            shiftTimestamps: process.env.SPPO_REPLAY_SHIFT_TIMESTAMPS !== 'false'
+        },
+        synthetic: {
+            vehicles: parseInt(process.env.SPPO_SYNTHETIC_VEHICLES) || 500,
+            lines: parseInt(process.env.SPPO_SYNTHETIC_LINES) || 40,
+            seed: parseInt(process.env.SPPO_SYNTHETIC_SEED) || 42
+        }
     }
 };
 
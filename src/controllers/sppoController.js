@@ -1,6 +1,21 @@
 import Joi from 'joi';
 import winston from 'winston';
+import { Readable, pipeline } from 'stream';
 import sppoService from '../services/sppoService.js';
+import sppoPoller from '../services/pollerService.js';
+import historyService from '../services/historyService.js';
+import updateHub from '../services/updateHub.js';
+import websocketService from '../services/websocketService.js';
+import qualityService from '../services/qualityService.js';
+import { config } from '../config/app.js';
+import { parseBBox, geometryBBox } from '../utils/geo.js';
+import { wantsGeoJson, toFeatureCollection, GEOJSON_MEDIA_TYPE } from '../utils/geojson.js';
+import { applyListQuery } from '../utils/listQuery.js';
+import { createBusFilter, busFilterKey } from '../utils/busFilter.js';
+import { parseStatus, ACTIVITY_STATUSES } from '../utils/activityClassifier.js';
+import { filterDiff, composeDiffs } from '../utils/snapshotDiff.js';
+import { parseColumns, csvChunks, ndjsonChunks, EXPORT_COLUMNS } from '../utils/export.js';
+import { buildVehiclePositionsFeed, encodeFeed, feedToObject, GTFS_RT_MEDIA_TYPE } from '../utils/gtfsRealtime.js';
 
 const logger = winston.createLogger({
   level: 'info',
@@ -13,6 +28,285 @@ const logger = winston.createLogger({
   ]
 });
 
+/**
+ * Resumo do estado do upstream incluído no meta das respostas de dados
+ * @returns {Object} Disponibilidade e estado do circuit breaker
+ */
+function upstreamMeta() {
+  const { disponivel, circuito } = sppoService.getUpstreamStatus();
+  return { disponivel, circuito: circuito.estado };
+}
+
+/**
+ * Sinaliza com o cabeçalho `Warning: 110` que o snapshot servido está expirado
+ * @param {Object} res - Objeto de resposta
+ * @param {Object|null} freshness - Procedência do snapshot (`sppoService.getFreshness()`)
+ */
+function setStaleWarning(res, freshness) {
+  if (freshness?.stale) {
+    res.set('Warning', `110 - "Response is Stale" "${new Date(freshness.fetchedAt).toUTCString()}"`);
+  }
+}
+
+/**
+ * Snapshot servido à requisição e como foi obtido (registrado por `sppoService.getCurrentSnapshot()`)
+ * @param {Object} res - Objeto de resposta
+ * @returns {Object|null} { snapshot, stale, fetched } ou null se a requisição não leu o snapshot
+ */
+function servedSnapshot(res) {
+  return res.locals.snapshotContext?.served ?? null;
+}
+
+/**
+ * Procedência e idade dos dados incluídas no meta das respostas de dados
+ * @param {Object} res - Objeto de resposta
+ * @returns {Object} { source, dataAgeSeconds, fetchedAt, upstream }
+ */
+function dataSourceMeta(res) {
+  const freshness = sppoService.getFreshness(servedSnapshot(res));
+  setStaleWarning(res, freshness);
+
+  return {
+    source: freshness?.source ?? null,
+    dataAgeSeconds: freshness?.dataAgeSeconds ?? null,
+    fetchedAt: freshness?.fetchedAt ?? null,
+    upstream: upstreamMeta()
+  };
+}
+
+/**
+ * Estados de atividade pedidos na consulta (`status`), ou os estados padrão configurados
+ * @param {Object} req - Objeto de requisição
+ * @returns {Array<string>} Estados aceitos
+ */
+function requestedStatus(req) {
+  return parseStatus(req.query.status, config.activity.defaultStatus);
+}
+
+/**
+ * Monta o link de outra página da mesma consulta, trocando apenas o cursor
+ * @param {Object} req - Objeto de requisição
+ * @param {string|null} cursor - Cursor da página
+ * @returns {string|null} URL relativa ou null se não houver página
+ */
+function pageLink(req, cursor) {
+  if (!cursor) {
+    return null;
+  }
+  const params = new URLSearchParams(req.query);
+  params.set('cursor', cursor);
+  return `${req.originalUrl.split('?')[0]}?${params}`;
+}
+
+// Parâmetros que mudam apenas a página ou a representação, não a lista paginada
+const PAGE_ONLY_PARAMS = ['cursor', 'limit', 'campos', 'formato'];
+
+/**
+ * Identifica a consulta paginada: rota, filtros e ordenação (sem os parâmetros que só mudam a página ou o formato)
+ * @param {Object} req - Objeto de requisição
+ * @returns {string} Chave da consulta
+ */
+function listQueryKey(req) {
+  const filtros = Object.entries(req.query)
+    .filter(([key]) => !PAGE_ONLY_PARAMS.includes(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  return JSON.stringify([req.baseUrl + req.path, filtros, req.method === 'POST' ? req.body : null]);
+}
+
+/**
+ * Envia uma lista de ônibus no formato negociado com o cliente:
+ * JSON ({ data, meta }) ou GeoJSON FeatureCollection com o meta como membro externo.
+ * Aplica antes a ordenação (`ordenar`), a paginação (`limit`/`cursor`) e a seleção de campos (`campos`);
+ * cursores de outro snapshot são recusados com 409
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ * @param {Array} data - Ônibus
+ * @param {Object} meta - Bloco meta da resposta
+ */
+function sendBusList(req, res, data, meta) {
+  const geojson = wantsGeoJson(req);
+  const { ordenar, campos, limit, cursor } = req.query;
+
+  // No GeoJSON a posição vai na geometria, então latitude e longitude são sempre mantidas
+  const page = applyListQuery(data, {
+    ordenar,
+    campos: geojson && campos ? `${campos},latitude,longitude` : campos,
+    limit,
+    cursor
+  }, {
+    snapshotId: (servedSnapshot(res)?.snapshot ?? sppoService.getSnapshotInfo())?.id ?? null,
+    queryKey: listQueryKey(req)
+  });
+
+  if (page.error) {
+    return res.status(page.status).json({
+      error: {
+        message: page.error,
+        status: page.status
+      }
+    });
+  }
+
+  if (page.pagination) {
+    meta = {
+      ...meta,
+      paginacao: page.pagination,
+      links: {
+        self: pageLink(req, cursor) || req.originalUrl,
+        proximo: pageLink(req, page.pagination.proximoCursor),
+        anterior: pageLink(req, page.pagination.cursorAnterior)
+      }
+    };
+  }
+
+  res.vary('Accept');
+
+  if (geojson) {
+    return res.type(GEOJSON_MEDIA_TYPE).send(JSON.stringify(toFeatureCollection(page.data, meta)));
+  }
+  res.json({ data: page.data, meta });
+}
+
+// Formatos de exportação: tipo de conteúdo e gerador de chunks
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', chunks: csvChunks },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', chunks: ndjsonChunks }
+};
+
+/**
+ * Exporta os ônibus filtrados em streaming (linhas escritas em chunks, respeitando backpressure)
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ * @param {Function} next - Próxima função middleware
+ * @param {string} formato - `csv` ou `ndjson`
+ */
+async function streamExport(req, res, next, formato) {
+  try {
+    const startTime = Date.now();
+    const { linha, lat, lon, raio, bbox: bboxParam, campos } = req.query;
+
+    const { columns, invalid } = parseColumns(campos);
+    if (invalid.length > 0 || columns.length === 0) {
+      return res.status(400).json({
+        error: {
+          message: 'Parâmetro campos inválido',
+          details: `Colunas disponíveis: ${EXPORT_COLUMNS.join(', ')}${invalid.length ? ` (inválidas: ${invalid.join(', ')})` : ''}`,
+          status: 400
+        }
+      });
+    }
+
+    const bbox = bboxParam ? parseBBox(bboxParam) : undefined;
+    if (bbox === null) {
+      return res.status(400).json({
+        error: {
+          message: 'Parâmetro bbox inválido',
+          details: 'Use minLon,minLat,maxLon,maxLat com mínimos menores que os máximos',
+          status: 400
+        }
+      });
+    }
+
+    const data = await sppoService.filterBuses({
+      linha,
+      lat: lat ? parseFloat(lat.replace(',', '.')) : undefined,
+      lon: lon ? parseFloat(lon.replace(',', '.')) : undefined,
+      raio: raio ? parseFloat(raio) : undefined,
+      bbox,
+      status: requestedStatus(req)
+    });
+
+    const { contentType, chunks } = EXPORT_FORMATS[formato];
+    const filename = `onibus_sppo_${new Date().toISOString().replace(/[:.]/g, '-')}.${formato}`;
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    setStaleWarning(res, sppoService.getFreshness(servedSnapshot(res)));
+
+    pipeline(Readable.from(chunks(data, columns)), res, (error) => {
+      const duration = Date.now() - startTime;
+      if (error) {
+        logger.error(`Erro no streaming de /api/sppo/export.${formato}:`, error);
+        return;
+      }
+      logger.info(`GET /api/sppo/export.${formato} - ${data.length} ônibus exportados em ${duration}ms`);
+    });
+  } catch (error) {
+    logger.error(`Erro em export.${formato}:`, error);
+    next(error);
+  }
+}
+
+// Respostas SSE abertas (ou com vaga reservada) em /api/sppo/stream: Map<res, { key, matches, heartbeat, ready }>
+const sseClients = new Map();
+
+// Bytes pendentes de envio a partir dos quais um cliente do stream é considerado lento demais
+const MAX_SSE_BUFFERED_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Envia a diferença de um snapshot a cada cliente do stream com veículos correspondentes
+ *
+ * O recorte é calculado uma vez por filtro distinto; clientes que não
+ * acompanham as atualizações são desconectados.
+ *
+ * @param {Object} diff - Diferença publicada pelo hub
+ */
+function broadcastSseDiff(diff) {
+  const views = new Map(); // Map<chave do filtro, recorte da diferença>
+
+  for (const [res, client] of sseClients) {
+    if (!client.ready) {
+      continue;
+    }
+    if (res.writableLength > MAX_SSE_BUFFERED_BYTES) {
+      logger.warn('GET /api/sppo/stream - cliente não acompanha as atualizações, encerrando conexão');
+      closeSseClient(res);
+      res.end();
+      continue;
+    }
+
+    if (!views.has(client.key)) {
+      views.set(client.key, filterDiff(diff, client.matches));
+    }
+    const view = views.get(client.key);
+    if (view.adicionados.length || view.movidos.length || view.removidos.length) {
+      writeSseEvent(res, 'diff', diff.id, { id: diff.id, anterior: diff.anterior, timestamp: diff.timestamp, ...view });
+    }
+  }
+}
+
+/**
+ * Libera a vaga, o heartbeat e a assinatura do hub de um cliente do stream (pode ser chamado mais de uma vez)
+ * @param {Object} res - Objeto de resposta do cliente
+ */
+function closeSseClient(res) {
+  const client = sseClients.get(res);
+  if (!client) {
+    return;
+  }
+
+  clearInterval(client.heartbeat);
+  sseClients.delete(res);
+  if (sseClients.size === 0) {
+    updateHub.off('diff', broadcastSseDiff);
+  }
+  logger.info(`GET /api/sppo/stream - cliente desconectado (${sseClients.size} conectados)`);
+}
+
+/**
+ * Escreve um evento Server-Sent Events e o envia imediatamente (sem esperar o buffer da compressão)
+ * @param {Object} res - Objeto de resposta
+ * @param {string} event - Nome do evento
+ * @param {string} id - Id do evento (id do snapshot, usado no Last-Event-ID)
+ * @param {Object} data - Conteúdo do evento
+ */
+function writeSseEvent(res, event, id, data) {
+  res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  res.flush?.();
+}
+
 /**
  * Controlador modernizado para gerenciar as requisições relacionadas aos dados de GPS do SPPO
  */
@@ -23,6 +317,13 @@ class SppoController {
    *   get:
    *     summary: Obtém todos os dados de GPS dos ônibus
    *     tags: [SPPO]
+   *     parameters:
+   *       - $ref: '#/components/parameters/formato'
+   *       - $ref: '#/components/parameters/status'
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/cursor'
+   *       - $ref: '#/components/parameters/ordenar'
+   *       - $ref: '#/components/parameters/campos'
    *     responses:
    *       200:
    *         description: Lista de todos os ônibus com dados de GPS
@@ -45,6 +346,22 @@ class SppoController {
    *                   velocidade:
    *                     type: number
    *                     description: Velocidade do ônibus em km/h
+   *                   velocidadeCalculada:
+   *                     type: number
+   *                     nullable: true
+   *                     description: Velocidade em km/h calculada pelo deslocamento desde o reporte anterior
+   *                   rumo:
+   *                     type: number
+   *                     nullable: true
+   *                     description: Direção do deslocamento em graus (0 = norte, sentido horário)
+   *                   distanciaPercorrida:
+   *                     type: number
+   *                     nullable: true
+   *                     description: Distância em km desde o reporte anterior
+   *                   status:
+   *                     type: string
+   *                     enum: [em_movimento, parado, garagem, sem_sinal]
+   *                     description: Estado de atividade do veículo
    *                   linha:
    *                     type: string
    *                     description: Número da linha do ônibus
@@ -58,18 +375,16 @@ class SppoController {
   async getAllBuses(req, res, next) {
     try {
       const startTime = Date.now();
-      const data = await sppoService.getAllBusData();
+      const data = (await sppoService.getAllBusData()).filter(createBusFilter({ status: requestedStatus(req) }));
       const duration = Date.now() - startTime;
       
       logger.info(`GET /api/sppo - ${data.length} ônibus em ${duration}ms`);
       
-      res.json({
-        data,
-        meta: {
-          total: data.length,
-          timestamp: new Date().toISOString(),
-          duration: `${duration}ms`
-        }
+      sendBusList(req, res, data, {
+        total: data.length,
+        timestamp: new Date().toISOString(),
+        duration: `${duration}ms`,
+        ...dataSourceMeta(res)
       });
     } catch (error) {
       logger.error('Erro em getAllBuses:', error);
@@ -90,6 +405,13 @@ class SppoController {
    *         schema:
    *           type: string
    *         description: Número ou código da linha de ônibus
+   *       - $ref: '#/components/parameters/match'
+   *       - $ref: '#/components/parameters/formato'
+   *       - $ref: '#/components/parameters/status'
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/cursor'
+   *       - $ref: '#/components/parameters/ordenar'
+   *       - $ref: '#/components/parameters/campos'
    *     responses:
    *       200:
    *         description: Lista de ônibus da linha especificada
@@ -114,6 +436,20 @@ class SppoController {
    *                       format: date-time
    *                     duration:
    *                       type: string
+   *                     source:
+   *                       type: string
+   *                       enum: [live, cache, stale, replay, synthetic]
+   *                       description: Procedência do snapshot servido
+   *                     dataAgeSeconds:
+   *                       type: number
+   *                       description: Segundos desde a busca do snapshot na fonte
+   *                     fetchedAt:
+   *                       type: string
+   *                       format: date-time
+   *                       description: Horário da busca do snapshot na fonte
+   *                     upstream:
+   *                       type: object
+   *                       description: Disponibilidade do upstream e estado do circuit breaker
    *       400:
    *         description: Parâmetro de linha inválido
    *       404:
@@ -140,7 +476,12 @@ class SppoController {
         });
       }
       
-      const data = await sppoService.getBusByLine(linha);
+      // Sem `match` mantém a busca exata com fallback por correspondência parcial
+      const { match } = req.query;
+      const buses = match
+        ? (await sppoService.getBusByLines([linha], match))[0].onibus
+        : await sppoService.getBusByLine(linha);
+      const data = buses.filter(createBusFilter({ status: requestedStatus(req) }));
       const duration = Date.now() - startTime;
       
       logger.info(`GET /api/sppo/linha/${linha} - ${data.length} ônibus em ${duration}ms`);
@@ -154,17 +495,277 @@ class SppoController {
         });
       }
       
+      sendBusList(req, res, data, {
+        linha,
+        total: data.length,
+        timestamp: new Date().toISOString(),
+        duration: `${duration}ms`,
+        ...dataSourceMeta(res)
+      });
+    } catch (error) {
+      logger.error(`Erro em getBusesByLine para linha ${req.params.linha}:`, error);
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/sppo/linhas:
+   *   get:
+   *     summary: Busca várias linhas de uma vez, com resultados agrupados por linha
+   *     tags: [SPPO]
+   *     parameters:
+   *       - $ref: '#/components/parameters/status'
+   *       - in: query
+   *         name: l
+   *         required: true
+   *         schema:
+   *           type: string
+   *         example: 415,474,SV922
+   *         description: Linhas separadas por vírgula (até 50)
+   *       - $ref: '#/components/parameters/match'
+   *     responses:
+   *       200:
+   *         description: Um grupo por linha pedida, na ordem do pedido
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       consulta:
+   *                         type: string
+   *                         description: Linha como foi pedida
+   *                       linhas:
+   *                         type: array
+   *                         items:
+   *                           type: string
+   *                         description: Linhas encontradas para a consulta
+   *                       total:
+   *                         type: number
+   *                       onibus:
+   *                         type: array
+   *                         items:
+   *                           type: object
+   *                 meta:
+   *                   type: object
+   *                   properties:
+   *                     match:
+   *                       type: string
+   *                     solicitadas:
+   *                       type: array
+   *                       items:
+   *                         type: string
+   *                     semVeiculos:
+   *                       type: array
+   *                       items:
+   *                         type: string
+   *                       description: Linhas pedidas sem nenhum veículo em rota
+   *                     total:
+   *                       type: number
+   *       400:
+   *         description: Parâmetros inválidos
+   *       500:
+   *         description: Erro interno do servidor
+   */
+  async getBusesByLines(req, res, next) {
+    try {
+      const startTime = Date.now();
+      const { l, match = 'exact' } = req.query;
+
+      // Linhas repetidas na consulta são consideradas uma vez
+      const linhas = [...new Set(l.split(',').map(linha => linha.trim()).filter(Boolean))];
+      if (linhas.length === 0 || linhas.length > 50) {
+        return res.status(400).json({
+          error: {
+            message: 'Parâmetro l inválido',
+            details: 'Informe de 1 a 50 linhas separadas por vírgula',
+            status: 400
+          }
+        });
+      }
+
+      const matches = createBusFilter({ status: requestedStatus(req) });
+      const data = (await sppoService.getBusByLines(linhas, match)).map(group => {
+        const onibus = group.onibus.filter(matches);
+        return { ...group, total: onibus.length, onibus };
+      });
+      const total = data.reduce((sum, group) => sum + group.total, 0);
+      const duration = Date.now() - startTime;
+
+      logger.info(`GET /api/sppo/linhas - ${linhas.length} linhas (${match}), ${total} ônibus em ${duration}ms`);
+
+      res.json({
+        data,
+        meta: {
+          match,
+          solicitadas: linhas,
+          semVeiculos: data.filter(group => group.total === 0).map(group => group.consulta),
+          total,
+          timestamp: new Date().toISOString(),
+          duration: `${duration}ms`,
+          ...dataSourceMeta(res)
+        }
+      });
+    } catch (error) {
+      logger.error('Erro em getBusesByLines:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     LinhaCatalogo:
+   *       type: object
+   *       properties:
+   *         linha:
+   *           type: string
+   *         veiculos:
+   *           type: number
+   *           description: Veículos nos estados pedidos
+   *         porStatus:
+   *           type: object
+   *           description: Veículos por estado de atividade
+   *         velocidadeMedia:
+   *           type: number
+   *           description: Velocidade média em km/h
+   *         bbox:
+   *           type: array
+   *           items:
+   *             type: number
+   *           description: Retângulo [minLon, minLat, maxLon, maxLat] das posições
+   *         centroide:
+   *           type: object
+   *           properties:
+   *             latitude:
+   *               type: number
+   *             longitude:
+   *               type: number
+   *         ultimoReporte:
+   *           type: string
+   *           format: date-time
+   * /api/sppo/linhas/catalogo:
+   *   get:
+   *     summary: Lista as linhas com veículos em rota no snapshot atual
+   *     tags: [SPPO]
+   *     parameters:
+   *       - $ref: '#/components/parameters/status'
+   *       - in: query
+   *         name: q
+   *         required: false
+   *         schema:
+   *           type: string
+   *         description: Prefixo da linha, para autocompletar
+   *     responses:
+   *       200:
+   *         description: Catálogo de linhas, ordenado pela linha
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/LinhaCatalogo'
+   *                 meta:
+   *                   type: object
+   *       500:
+   *         description: Erro interno do servidor
+   */
+  async getLineCatalog(req, res, next) {
+    try {
+      const startTime = Date.now();
+      const prefixo = req.query.q?.toString().trim().toLowerCase();
+
+      const catalog = await sppoService.getLineCatalog(requestedStatus(req));
+      const data = prefixo
+        ? catalog.filter(item => item.linha.toLowerCase().startsWith(prefixo))
+        : catalog;
+      const duration = Date.now() - startTime;
+
+      logger.info(`GET /api/sppo/linhas/catalogo - ${data.length} linhas em ${duration}ms`);
+
       res.json({
         data,
         meta: {
-          linha,
+          q: req.query.q || null,
           total: data.length,
+          veiculos: data.reduce((sum, item) => sum + item.veiculos, 0),
           timestamp: new Date().toISOString(),
-          duration: `${duration}ms`
+          duration: `${duration}ms`,
+          ...dataSourceMeta(res)
         }
       });
     } catch (error) {
-      logger.error(`Erro em getBusesByLine para linha ${req.params.linha}:`, error);
+      logger.error('Erro em getLineCatalog:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/sppo/linhas/catalogo/{linha}:
+   *   get:
+   *     summary: Obtém o resumo de uma linha no snapshot atual
+   *     tags: [SPPO]
+   *     parameters:
+   *       - $ref: '#/components/parameters/status'
+   *       - in: path
+   *         name: linha
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Linha (correspondência exata, sem diferenciar maiúsculas)
+   *     responses:
+   *       200:
+   *         description: Resumo da linha
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   $ref: '#/components/schemas/LinhaCatalogo'
+   *                 meta:
+   *                   type: object
+   *       404:
+   *         description: Linha sem veículos em rota
+   *       500:
+   *         description: Erro interno do servidor
+   */
+  async getLineCatalogEntry(req, res, next) {
+    try {
+      const { linha } = req.params;
+      const linhaFormatada = linha.toString().trim().toLowerCase();
+
+      const catalog = await sppoService.getLineCatalog(requestedStatus(req));
+      const data = catalog.find(item => item.linha.toLowerCase() === linhaFormatada);
+
+      if (!data) {
+        return res.status(404).json({
+          error: {
+            message: `Nenhum veículo em rota para a linha ${linha}`,
+            status: 404
+          }
+        });
+      }
+
+      res.json({
+        data,
+        meta: {
+          timestamp: new Date().toISOString(),
+          ...dataSourceMeta(res)
+        }
+      });
+    } catch (error) {
+      logger.error(`Erro em getLineCatalogEntry para linha ${req.params.linha}:`, error);
       next(error);
     }
   }
@@ -201,6 +802,12 @@ class SppoController {
    *           maximum: 50
    *           default: 1
    *         description: Raio de busca em quilômetros
+   *       - $ref: '#/components/parameters/formato'
+   *       - $ref: '#/components/parameters/status'
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/cursor'
+   *       - $ref: '#/components/parameters/ordenar'
+   *       - $ref: '#/components/parameters/campos'
    *     responses:
    *       200:
    *         description: Lista de ônibus dentro do raio especificado
@@ -229,6 +836,20 @@ class SppoController {
    *                       format: date-time
    *                     duration:
    *                       type: string
+   *                     source:
+   *                       type: string
+   *                       enum: [live, cache, stale, replay, synthetic]
+   *                       description: Procedência do snapshot servido
+   *                     dataAgeSeconds:
+   *                       type: number
+   *                       description: Segundos desde a busca do snapshot na fonte
+   *                     fetchedAt:
+   *                       type: string
+   *                       format: date-time
+   *                       description: Horário da busca do snapshot na fonte
+   *                     upstream:
+   *                       type: object
+   *                       description: Disponibilidade do upstream e estado do circuit breaker
    *       400:
    *         description: Parâmetros de posição inválidos
    *       404:
@@ -264,7 +885,8 @@ class SppoController {
         });
       }
       
-      const data = await sppoService.getBusByPosition(value.lat, value.lon, value.raio);
+      const data = (await sppoService.getBusByPosition(value.lat, value.lon, value.raio))
+        .filter(createBusFilter({ status: requestedStatus(req) }));
       const duration = Date.now() - startTime;
       
       logger.info(`GET /api/sppo/posicao - ${data.length} ônibus em ${duration}ms`);
@@ -278,19 +900,1327 @@ class SppoController {
         });
       }
       
-      res.json({
+      sendBusList(req, res, data, {
+        lat: value.lat,
+        lon: value.lon,
+        raio: value.raio,
+        total: data.length,
+        timestamp: new Date().toISOString(),
+        duration: `${duration}ms`,
+        ...dataSourceMeta(res)
+      });
+    } catch (error) {
+      logger.error('Erro em getBusesByPosition:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/sppo/onibus/{ordem}/trajetoria:
+   *   get:
+   *     summary: Obtém a trajetória registrada de um ônibus
+   *     tags: [SPPO]
+   *     parameters:
+   *       - in: path
+   *         name: ordem
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Número de ordem do ônibus
+   *       - in: query
+   *         name: desde
+   *         required: false
+   *         schema:
+   *           type: string
+   *           format: date-time
+   *         description: Início do intervalo (padrão 1 hora antes de `ate`)
+   *       - in: query
+   *         name: ate
+   *         required: false
+   *         schema:
+   *           type: string
+   *           format: date-time
+   *         description: Fim do intervalo (padrão agora)
+   *       - $ref: '#/components/parameters/formato'
+   *       - $ref: '#/components/parameters/status'
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/cursor'
+   *       - $ref: '#/components/parameters/ordenar'
+   *       - $ref: '#/components/parameters/campos'
+   *     responses:
+   *       200:
+   *         description: Posições do ônibus ordenadas por data e hora
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                 meta:
+   *                   type: object
+   *                   properties:
+   *                     ordem:
+   *                       type: string
+   *                     desde:
+   *                       type: string
+   *                       format: date-time
+   *                     ate:
+   *                       type: string
+   *                       format: date-time
+   *                     total:
+   *                       type: number
+   *                     timestamp:
+   *                       type: string
+   *                       format: date-time
+   *                     duration:
+   *                       type: string
+   *       400:
+   *         description: Intervalo inválido
+   *       404:
+   *         description: Nenhuma posição registrada para o ônibus no intervalo
+   *       503:
+   *         description: Histórico de posições desativado
+   *       500:
+   *         description: Erro interno do servidor
+   */
+  async getBusTrajectory(req, res, next) {
+    try {
+      const { ordem } = req.params;
+      const startTime = Date.now();
+
+      if (!config.history.enabled) {
+        return res.status(503).json({
+          error: {
+            message: 'Histórico de posições desativado',
+            status: 503
+          }
+        });
+      }
+
+      const ate = req.query.ate ? new Date(req.query.ate) : new Date();
+      const desde = req.query.desde ? new Date(req.query.desde) : new Date(ate.getTime() - 3600000);
+      const janelaHoras = (ate - desde) / 3600000;
+
+      if (janelaHoras <= 0 || janelaHoras > config.history.maxQueryHours) {
+        return res.status(400).json({
+          error: {
+            message: 'Intervalo de consulta inválido',
+            details: `"desde" deve ser anterior a "ate" e o intervalo deve ter no máximo ${config.history.maxQueryHours} horas`,
+            status: 400
+          }
+        });
+      }
+
+      // Na trajetória de um único veículo todos os estados são mantidos, salvo filtro explícito
+      const data = (await historyService.getTrajectory(ordem, desde, ate))
+        .filter(createBusFilter({ status: parseStatus(req.query.status, ACTIVITY_STATUSES) }));
+      const duration = Date.now() - startTime;
+
+      logger.info(`GET /api/sppo/onibus/${ordem}/trajetoria - ${data.length} posições em ${duration}ms`);
+
+      if (data.length === 0) {
+        return res.status(404).json({
+          error: {
+            message: `Nenhuma posição registrada para o ônibus ${ordem} entre ${desde.toISOString()} e ${ate.toISOString()}`,
+            status: 404
+          }
+        });
+      }
+
+      sendBusList(req, res, data, {
+        ordem,
+        desde: desde.toISOString(),
+        ate: ate.toISOString(),
+        total: data.length,
+        timestamp: new Date().toISOString(),
+        duration: `${duration}ms`
+      });
+    } catch (error) {
+      logger.error(`Erro em getBusTrajectory para ordem ${req.params.ordem}:`, error);
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/sppo/snapshot:
+   *   get:
+   *     summary: Reconstrói o estado da frota em um instante passado
+   *     tags: [SPPO]
+   *     parameters:
+   *       - in: query
+   *         name: at
+   *         required: true
+   *         schema:
+   *           type: string
+   *           format: date-time
+   *         description: Instante de referência
+   *       - in: query
+   *         name: tolerancia
+   *         required: false
+   *         schema:
+   *           type: number
+   *           minimum: 1
+   *           maximum: 60
+   *           default: 5
+   *         description: Janela em minutos antes do instante em que a última posição de cada veículo é considerada
+   *       - in: query
+   *         name: linha
+   *         required: false
+   *         schema:
+   *           type: string
+   *         description: Filtrar por linha
+   *       - $ref: '#/components/parameters/formato'
+   *       - $ref: '#/components/parameters/status'
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/cursor'
+   *       - $ref: '#/components/parameters/ordenar'
+   *       - $ref: '#/components/parameters/campos'
+   *     responses:
+   *       200:
+   *         description: Última posição conhecida de cada ônibus no instante
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                 meta:
+   *                   type: object
+   *                   properties:
+   *                     at:
+   *                       type: string
+   *                       format: date-time
+   *                     tolerancia:
+   *                       type: number
+   *                     linha:
+   *                       type: string
+   *                     total:
+   *                       type: number
+   *                     timestamp:
+   *                       type: string
+   *                       format: date-time
+   *                     duration:
+   *                       type: string
+   *       400:
+   *         description: Parâmetros inválidos
+   *       404:
+   *         description: Nenhuma posição registrada no instante
+   *       503:
+   *         description: Histórico de posições desativado
+   *       500:
+   *         description: Erro interno do servidor
+   */
+  async getSnapshotAt(req, res, next) {
+    try {
+      const startTime = Date.now();
+
+      if (!config.history.enabled) {
+        return res.status(503).json({
+          error: {
+            message: 'Histórico de posições desativado',
+            status: 503
+          }
+        });
+      }
+
+      const at = new Date(req.query.at);
+      const tolerancia = req.query.tolerancia ? parseFloat(req.query.tolerancia) : config.history.snapshotToleranceMinutes;
+      const { linha } = req.query;
+
+      const data = (await historyService.getFleetAt(at, tolerancia, linha))
+        .filter(createBusFilter({ status: requestedStatus(req) }));
+      const duration = Date.now() - startTime;
+
+      logger.info(`GET /api/sppo/snapshot - ${data.length} ônibus em ${at.toISOString()} (${duration}ms)`);
+
+      if (data.length === 0) {
+        return res.status(404).json({
+          error: {
+            message: `Nenhuma posição registrada nos ${tolerancia} minutos anteriores a ${at.toISOString()}`,
+            status: 404
+          }
+        });
+      }
+
+      sendBusList(req, res, data, {
+        at: at.toISOString(),
+        tolerancia,
+        linha,
+        total: data.length,
+        timestamp: new Date().toISOString(),
+        duration: `${duration}ms`
+      });
+    } catch (error) {
+      logger.error('Erro em getSnapshotAt:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/sppo/proximos:
+   *   get:
+   *     summary: Obtém os ônibus mais próximos de um ponto, ordenados pela distância
+   *     tags: [SPPO]
+   *     parameters:
+   *       - in: query
+   *         name: lat
+   *         required: true
+   *         schema:
+   *           type: number
+   *           minimum: -90
+   *           maximum: 90
+   *         description: Latitude do ponto
+   *       - in: query
+   *         name: lon
+   *         required: true
+   *         schema:
+   *           type: number
+   *           minimum: -180
+   *           maximum: 180
+   *         description: Longitude do ponto
+   *       - in: query
+   *         name: k
+   *         required: false
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 10
+   *         description: Quantidade de ônibus
+   *       - in: query
+   *         name: linha
+   *         required: false
+   *         schema:
+   *           type: string
+   *         description: Considerar apenas uma linha
+   *       - $ref: '#/components/parameters/formato'
+   *       - $ref: '#/components/parameters/status'
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/cursor'
+   *       - $ref: '#/components/parameters/ordenar'
+   *       - $ref: '#/components/parameters/campos'
+   *     responses:
+   *       200:
+   *         description: Ônibus mais próximos, cada um com `distanciaKm` e `azimute` (graus a partir do norte, do ponto até o ônibus)
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       distanciaKm:
+   *                         type: number
+   *                       azimute:
+   *                         type: number
+   *                 meta:
+   *                   type: object
+   *       400:
+   *         description: Parâmetros inválidos
+   *       404:
+   *         description: Nenhum ônibus encontrado
+   *       500:
+   *         description: Erro interno do servidor
+   */
+  async getNearestBuses(req, res, next) {
+    try {
+      const startTime = Date.now();
+      const lat = parseFloat(req.query.lat.replace(',', '.'));
+      const lon = parseFloat(req.query.lon.replace(',', '.'));
+      const k = req.query.k ? parseInt(req.query.k) : 10;
+      const { linha } = req.query;
+
+      const data = await sppoService.getNearestBuses(lat, lon, k, linha, requestedStatus(req));
+      const duration = Date.now() - startTime;
+
+      logger.info(`GET /api/sppo/proximos - ${data.length} ônibus em ${duration}ms`);
+
+      if (data.length === 0) {
+        return res.status(404).json({
+          error: {
+            message: linha ? `Nenhum ônibus encontrado para a linha ${linha}` : 'Nenhum ônibus encontrado',
+            status: 404
+          }
+        });
+      }
+
+      sendBusList(req, res, data, {
+        lat,
+        lon,
+        k,
+        linha,
+        total: data.length,
+        timestamp: new Date().toISOString(),
+        duration: `${duration}ms`,
+        ...dataSourceMeta(res)
+      });
+    } catch (error) {
+      logger.error('Erro em getNearestBuses:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/sppo/area:
+   *   get:
+   *     summary: Filtra os ônibus dentro de um retângulo (área visível do mapa)
+   *     tags: [SPPO]
+   *     parameters:
+   *       - in: query
+   *         name: bbox
+   *         required: true
+   *         schema:
+   *           type: string
+   *         example: -43.20,-22.92,-43.16,-22.89
+   *         description: Retângulo no formato minLon,minLat,maxLon,maxLat
+   *       - $ref: '#/components/parameters/formato'
+   *       - $ref: '#/components/parameters/status'
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/cursor'
+   *       - $ref: '#/components/parameters/ordenar'
+   *       - $ref: '#/components/parameters/campos'
+   *     responses:
+   *       200:
+   *         description: Lista de ônibus dentro do retângulo
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                 meta:
+   *                   type: object
+   *                   properties:
+   *                     bbox:
+   *                       type: array
+   *                       items:
+   *                         type: number
+   *                     total:
+   *                       type: number
+   *                     timestamp:
+   *                       type: string
+   *                       format: date-time
+   *                     duration:
+   *                       type: string
+   *       400:
+   *         description: Retângulo inválido
+   *       404:
+   *         description: Nenhum ônibus encontrado na área especificada
+   *       500:
+   *         description: Erro interno do servidor
+   */
+  async getBusesByBBox(req, res, next) {
+    try {
+      const startTime = Date.now();
+      const bbox = parseBBox(req.query.bbox);
+
+      if (!bbox) {
+        return res.status(400).json({
+          error: {
+            message: 'Parâmetro bbox inválido',
+            details: 'Use minLon,minLat,maxLon,maxLat com mínimos menores que os máximos',
+            status: 400
+          }
+        });
+      }
+
+      const data = (await sppoService.getBusByBBox(bbox)).filter(createBusFilter({ status: requestedStatus(req) }));
+      const duration = Date.now() - startTime;
+
+      logger.info(`GET /api/sppo/area - ${data.length} ônibus em ${duration}ms`);
+
+      if (data.length === 0) {
+        return res.status(404).json({
+          error: {
+            message: `Nenhum ônibus encontrado no retângulo ${bbox.join(',')}`,
+            status: 404
+          }
+        });
+      }
+
+      sendBusList(req, res, data, {
+        bbox,
+        total: data.length,
+        timestamp: new Date().toISOString(),
+        duration: `${duration}ms`,
+        ...dataSourceMeta(res)
+      });
+    } catch (error) {
+      logger.error('Erro em getBusesByBBox:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/sppo/area:
+   *   post:
+   *     summary: Filtra os ônibus dentro de uma área GeoJSON (bairro, corredor etc.)
+   *     tags: [SPPO]
+   *     parameters:
+   *       - $ref: '#/components/parameters/formato'
+   *       - $ref: '#/components/parameters/status'
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/cursor'
+   *       - $ref: '#/components/parameters/ordenar'
+   *       - $ref: '#/components/parameters/campos'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             description: Geometria GeoJSON Polygon ou MultiPolygon, ou uma Feature com essa geometria
+   *             properties:
+   *               type:
+   *                 type: string
+   *                 enum: [Polygon, MultiPolygon, Feature]
+   *               coordinates:
+   *                 type: array
+   *                 items: {}
+   *               geometry:
+   *                 type: object
+   *     responses:
+   *       200:
+   *         description: Lista de ônibus dentro da área
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                 meta:
+   *                   type: object
+   *                   properties:
+   *                     tipo:
+   *                       type: string
+   *                     bbox:
+   *                       type: array
+   *                       items:
+   *                         type: number
+   *                     total:
+   *                       type: number
+   *                     timestamp:
+   *                       type: string
+   *                       format: date-time
+   *                     duration:
+   *                       type: string
+   *       400:
+   *         description: Geometria inválida
+   *       404:
+   *         description: Nenhum ônibus encontrado na área especificada
+   *       500:
+   *         description: Erro interno do servidor
+   */
+  async getBusesByPolygon(req, res, next) {
+    try {
+      const startTime = Date.now();
+      const geometry = req.body.type === 'Feature' ? req.body.geometry : req.body;
+
+      const data = (await sppoService.getBusByPolygon(geometry)).filter(createBusFilter({ status: requestedStatus(req) }));
+      const duration = Date.now() - startTime;
+
+      logger.info(`POST /api/sppo/area - ${data.length} ônibus em ${duration}ms`);
+
+      if (data.length === 0) {
+        return res.status(404).json({
+          error: {
+            message: 'Nenhum ônibus encontrado na área especificada',
+            status: 404
+          }
+        });
+      }
+
+      sendBusList(req, res, data, {
+        tipo: geometry.type,
+        bbox: geometryBBox(geometry),
+        total: data.length,
+        timestamp: new Date().toISOString(),
+        duration: `${duration}ms`,
+        ...dataSourceMeta(res)
+      });
+    } catch (error) {
+      logger.error('Erro em getBusesByPolygon:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/sppo/stream:
+   *   get:
+   *     summary: Stream (Server-Sent Events) das atualizações de posição
+   *     description: |
+   *       Ao conectar, envia o evento `snapshot` com o estado atual filtrado. A cada novo snapshot
+   *       envia o evento `diff` com os veículos `adicionados`, `movidos` e `removidos`. O id de cada
+   *       evento é o id do snapshot: ao reconectar com `Last-Event-ID`, o cliente recebe apenas as
+   *       diferenças perdidas (ou um novo `snapshot`, se elas não estiverem mais disponíveis).
+   *       Linhas de comentário são enviadas periodicamente como heartbeat.
+   *     tags: [SPPO]
+   *     parameters:
+   *       - $ref: '#/components/parameters/status'
+   *       - in: query
+   *         name: linha
+   *         required: false
+   *         schema:
+   *           type: string
+   *         description: Linhas separadas por vírgula (correspondência exata)
+   *       - in: query
+   *         name: bbox
+   *         required: false
+   *         schema:
+   *           type: string
+   *         description: Retângulo no formato minLon,minLat,maxLon,maxLat
+   *       - in: query
+   *         name: lat
+   *         required: false
+   *         schema:
+   *           type: number
+   *         description: Latitude do centro do raio (exige lon)
+   *       - in: query
+   *         name: lon
+   *         required: false
+   *         schema:
+   *           type: number
+   *         description: Longitude do centro do raio (exige lat)
+   *       - in: query
+   *         name: raio
+   *         required: false
+   *         schema:
+   *           type: number
+   *           default: 1
+   *         description: Raio em quilômetros
+   *       - in: header
+   *         name: Last-Event-ID
+   *         required: false
+   *         schema:
+   *           type: string
+   *         description: Id do último evento recebido, para retomar o stream
+   *     responses:
+   *       200:
+   *         description: Stream de eventos
+   *         content:
+   *           text/event-stream:
+   *             schema:
+   *               type: string
+   *       400:
+   *         description: Parâmetros inválidos
+   *       503:
+   *         description: Limite de clientes conectados atingido ou dados indisponíveis
+   */
+  async streamUpdates(req, res, next) {
+    try {
+      const { linha, bbox: bboxParam, lat, lon, raio } = req.query;
+
+      const bbox = bboxParam ? parseBBox(bboxParam) : undefined;
+      if (bbox === null) {
+        return res.status(400).json({
+          error: {
+            message: 'Parâmetro bbox inválido',
+            details: 'Use minLon,minLat,maxLon,maxLat com mínimos menores que os máximos',
+            status: 400
+          }
+        });
+      }
+
+      if (sseClients.size >= config.stream.maxClients) {
+        return res.status(503).json({
+          error: {
+            message: 'Limite de clientes conectados ao stream atingido, tente novamente mais tarde',
+            status: 503
+          }
+        });
+      }
+
+      const criteria = {
+        linhas: linha?.split(',').map(item => item.trim()).filter(Boolean),
+        bbox,
+        lat: lat !== undefined ? Number(lat) : undefined,
+        lon: lon !== undefined ? Number(lon) : undefined,
+        raio: raio !== undefined ? Number(raio) : 1,
+        status: requestedStatus(req)
+      };
+      const matches = createBusFilter(criteria);
+
+      // Vaga reservada antes de aguardar o snapshot: conexões simultâneas não ultrapassam o limite
+      const client = { key: busFilterKey(criteria), matches, heartbeat: null, ready: false };
+      sseClients.set(res, client);
+      if (sseClients.size === 1) {
+        updateHub.on('diff', broadcastSseDiff);
+      }
+      res.on('close', () => closeSseClient(res));
+
+      // Garante que existe um snapshot publicado antes de abrir o stream
+      try {
+        await sppoService.getCurrentSnapshot();
+      } catch (error) {
+        closeSseClient(res);
+        throw error;
+      }
+
+      // Cliente desconectado durante a busca: a vaga já foi liberada
+      if (!sseClients.has(res)) {
+        return;
+      }
+
+      res.set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      res.write(`retry: ${config.stream.heartbeatInterval}\n\n`);
+
+      // Retomada: enviar apenas as diferenças perdidas quando ainda estiverem no buffer
+      const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+      const missed = lastEventId ? updateHub.since(lastEventId) : null;
+
+      if (missed) {
+        for (const diff of missed) {
+          writeSseEvent(res, 'diff', diff.id, { id: diff.id, anterior: diff.anterior, timestamp: diff.timestamp, ...filterDiff(diff, matches) });
+        }
+      } else {
+        const current = updateHub.getCurrent();
+        if (current) {
+          const onibus = current.buses.filter(matches);
+          writeSseEvent(res, 'snapshot', current.id, { id: current.id, timestamp: current.timestamp, total: onibus.length, onibus });
+        }
+      }
+
+      client.heartbeat = setInterval(() => {
+        res.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+        res.flush?.();
+      }, config.stream.heartbeatInterval);
+      client.ready = true;
+
+      logger.info(`GET /api/sppo/stream - cliente conectado (${sseClients.size} conectados)`);
+    } catch (error) {
+      logger.error('Erro em streamUpdates:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/sppo/delta:
+   *   get:
+   *     summary: Obtém apenas o que mudou desde um snapshot
+   *     description: |
+   *       Retorna os veículos adicionados e movidos (novo reporte) desde o snapshot informado e a
+   *       ordem dos veículos que saíram. `meta.snapshot` é o token a usar no próximo `since`. Sem
+   *       `since`, ou quando o snapshot não está mais disponível, retorna o estado completo (`completo: true`).
+   *     tags: [SPPO]
+   *     parameters:
+   *       - $ref: '#/components/parameters/status'
+   *       - in: query
+   *         name: since
+   *         required: false
+   *         schema:
+   *           type: string
+   *         description: Id de snapshot (`meta.snapshot` da resposta anterior) ou data/hora ISO 8601
+   *     responses:
+   *       200:
+   *         description: Diferença desde o snapshot informado ou estado completo
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     completo:
+   *                       type: boolean
+   *                     adicionados:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                     movidos:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                     removidos:
+   *                       type: array
+   *                       items:
+   *                         type: string
+   *                       description: Ordem dos veículos que saíram
+   *                     onibus:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                       description: Estado completo (apenas quando `completo` é true)
+   *                 meta:
+   *                   type: object
+   *                   properties:
+   *                     since:
+   *                       type: string
+   *                     snapshot:
+   *                       type: string
+   *                       description: Token para a próxima consulta
+   *       400:
+   *         description: Parâmetro since inválido
+   *       503:
+   *         description: Dados de GPS indisponíveis
+   */
+  async getDelta(req, res, next) {
+    try {
+      const startTime = Date.now();
+      const { since } = req.query;
+
+      // `since` é um id de snapshot (timestamp numérico) ou uma data/hora ISO
+      let sinceId = null;
+      if (since) {
+        if (/^\d+$/.test(since)) {
+          sinceId = since;
+        } else {
+          const sinceTime = Date.parse(since);
+          if (Number.isNaN(sinceTime)) {
+            return res.status(400).json({
+              error: {
+                message: 'Parâmetro since inválido',
+                details: 'Use o id de snapshot retornado em meta.snapshot ou uma data/hora ISO 8601',
+                status: 400
+              }
+            });
+          }
+          sinceId = updateHub.snapshotAt(sinceTime);
+        }
+      }
+
+      await sppoService.getCurrentSnapshot();
+      const current = updateHub.getCurrent();
+      const diffs = sinceId ? updateHub.since(sinceId) : null;
+
+      const matches = createBusFilter({ status: requestedStatus(req) });
+      let data;
+      if (diffs) {
+        const { adicionados, movidos, removidos } = filterDiff(composeDiffs(diffs), matches);
+        data = { completo: false, adicionados, movidos, removidos: removidos.map(bus => bus.ordem) };
+      } else {
+        data = { completo: true, onibus: current?.buses.filter(matches) ?? [] };
+      }
+      const duration = Date.now() - startTime;
+
+      logger.info(`GET /api/sppo/delta - ${data.completo ? `estado completo (${data.onibus.length} ônibus)` : `${data.adicionados.length} adicionados, ${data.movidos.length} movidos, ${data.removidos.length} removidos`} em ${duration}ms`);
+
+      res.json({
+        data,
+        meta: {
+          since: since || null,
+          snapshot: current?.id ?? null,
+          snapshotTimestamp: current?.timestamp ?? null,
+          timestamp: new Date().toISOString(),
+          duration: `${duration}ms`,
+          ...dataSourceMeta(res)
+        }
+      });
+    } catch (error) {
+      logger.error('Erro em getDelta:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/sppo/gtfs-rt/vehicle-positions.pb:
+   *   get:
+   *     summary: Feed GTFS-Realtime VehiclePositions do snapshot atual
+   *     tags: [SPPO]
+   *     parameters:
+   *       - $ref: '#/components/parameters/status'
+   *       - in: query
+   *         name: debug
+   *         required: false
+   *         schema:
+   *           type: string
+   *           enum: ['0', '1']
+   *         description: Com `1`, retorna o FeedMessage em JSON legível em vez de protobuf
+   *     responses:
+   *       200:
+   *         description: FeedMessage GTFS-Realtime com uma entidade VehiclePosition por ônibus
+   *         content:
+   *           application/x-protobuf:
+   *             schema:
+   *               type: string
+   *               format: binary
+   *           application/json:
+   *             schema:
+   *               type: object
+   *       503:
+   *         description: Dados de GPS indisponíveis
+   *       500:
+   *         description: Erro interno do servidor
+   */
+  async getGtfsRealtimeVehiclePositions(req, res, next) {
+    try {
+      const startTime = Date.now();
+      const snapshot = await sppoService.getCurrentSnapshot();
+      const buses = snapshot.buses.filter(createBusFilter({ status: requestedStatus(req) }));
+      const feed = buildVehiclePositionsFeed(buses, snapshot.fetchedAt);
+      const duration = Date.now() - startTime;
+
+      logger.info(`GET /api/sppo/gtfs-rt/vehicle-positions.pb - ${feed.entity.length} entidades em ${duration}ms`);
+
+      setStaleWarning(res, sppoService.getFreshness(servedSnapshot(res)));
+
+      if (req.query.debug === '1') {
+        return res.json(feedToObject(feed));
+      }
+
+      res.type(GTFS_RT_MEDIA_TYPE).send(encodeFeed(feed));
+    } catch (error) {
+      logger.error('Erro em getGtfsRealtimeVehiclePositions:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/sppo/export.csv:
+   *   get:
+   *     summary: Exporta os ônibus em CSV (streaming)
+   *     tags: [SPPO]
+   *     parameters:
+   *       - $ref: '#/components/parameters/status'
+   *       - $ref: '#/components/parameters/exportLinha'
+   *       - $ref: '#/components/parameters/exportLat'
+   *       - $ref: '#/components/parameters/exportLon'
+   *       - $ref: '#/components/parameters/exportRaio'
+   *       - $ref: '#/components/parameters/exportBbox'
+   *       - $ref: '#/components/parameters/exportCampos'
+   *     responses:
+   *       200:
+   *         description: Arquivo CSV (RFC 4180) com uma linha por ônibus
+   *         content:
+   *           text/csv:
+   *             schema:
+   *               type: string
+   *       400:
+   *         description: Parâmetros inválidos
+   *       500:
+   *         description: Erro interno do servidor
+   */
+  async exportCsv(req, res, next) {
+    return streamExport(req, res, next, 'csv');
+  }
+
+  /**
+   * @swagger
+   * /api/sppo/export.ndjson:
+   *   get:
+   *     summary: Exporta os ônibus em NDJSON (streaming)
+   *     tags: [SPPO]
+   *     parameters:
+   *       - $ref: '#/components/parameters/status'
+   *       - $ref: '#/components/parameters/exportLinha'
+   *       - $ref: '#/components/parameters/exportLat'
+   *       - $ref: '#/components/parameters/exportLon'
+   *       - $ref: '#/components/parameters/exportRaio'
+   *       - $ref: '#/components/parameters/exportBbox'
+   *       - $ref: '#/components/parameters/exportCampos'
+   *     responses:
+   *       200:
+   *         description: Um objeto JSON por linha, um por ônibus
+   *         content:
+   *           application/x-ndjson:
+   *             schema:
+   *               type: string
+   *       400:
+   *         description: Parâmetros inválidos
+   *       500:
+   *         description: Erro interno do servidor
+   */
+  async exportNdjson(req, res, next) {
+    return streamExport(req, res, next, 'ndjson');
+  }
+
+  /**
+   * @swagger
+   * /api/sppo/linhas/{linha}/agrupamentos:
+   *   get:
+   *     summary: Agrupamentos (bunching) dos ônibus de uma linha
+   *     description: |
+   *       Grupos de ônibus da mesma linha a até `distancia` km uns dos outros e no mesmo sentido
+   *       (ônibus que se cruzam em sentidos opostos não contam). Três ônibus em fila formam um único grupo.
+   *     tags: [SPPO]
+   *     parameters:
+   *       - in: path
+   *         name: linha
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Número da linha (correspondência exata)
+   *       - $ref: '#/components/parameters/distanciaAgrupamento'
+   *       - $ref: '#/components/parameters/status'
+   *     responses:
+   *       200:
+   *         description: Agrupamentos da linha, do maior para o menor
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     linha:
+   *                       type: string
+   *                     veiculos:
+   *                       type: number
+   *                     veiculosAgrupados:
+   *                       type: number
+   *                     agrupamentos:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           veiculos:
+   *                             type: number
+   *                           ordens:
+   *                             type: array
+   *                             items:
+   *                               type: string
+   *                           distanciaMaximaKm:
+   *                             type: number
+   *                           centroide:
+   *                             type: object
+   *                           onibus:
+   *                             type: array
+   *                             items:
+   *                               type: object
+   *                 meta:
+   *                   type: object
+   *       404:
+   *         description: Nenhum veículo da linha
+   *       500:
+   *         description: Erro interno do servidor
+   */
+  async getLineBunching(req, res, next) {
+    try {
+      const startTime = Date.now();
+      const { linha } = req.params;
+      const distanceKm = req.query.distancia ? parseFloat(req.query.distancia) : config.bunching.distanceKm;
+
+      const [data] = await sppoService.getBunching({ linha, distanceKm, status: requestedStatus(req) });
+      const duration = Date.now() - startTime;
+
+      if (!data) {
+        return res.status(404).json({
+          error: {
+            message: `Nenhum veículo para a linha ${linha}`,
+            status: 404
+          }
+        });
+      }
+
+      logger.info(`GET /api/sppo/linhas/${linha}/agrupamentos - ${data.agrupamentos.length} agrupamentos em ${duration}ms`);
+
+      res.json({
         data,
         meta: {
-          lat: value.lat,
-          lon: value.lon,
-          raio: value.raio,
-          total: data.length,
+          distanciaKm: distanceKm,
           timestamp: new Date().toISOString(),
-          duration: `${duration}ms`
+          duration: `${duration}ms`,
+          ...dataSourceMeta(res)
         }
       });
     } catch (error) {
-      logger.error('Erro em getBusesByPosition:', error);
+      logger.error('Erro em getLineBunching:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/sppo/agrupamentos:
+   *   get:
+   *     summary: Ranking das linhas por agrupamentos (bunching)
+   *     description: Linhas com ao menos um agrupamento no snapshot atual, das com mais agrupamentos para as com menos
+   *     tags: [SPPO]
+   *     parameters:
+   *       - $ref: '#/components/parameters/distanciaAgrupamento'
+   *       - $ref: '#/components/parameters/status'
+   *       - in: query
+   *         name: limite
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 500
+   *           default: 20
+   *         description: Quantidade de linhas no ranking
+   *     responses:
+   *       200:
+   *         description: Ranking das linhas
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       linha:
+   *                         type: string
+   *                       agrupamentos:
+   *                         type: number
+   *                       veiculos:
+   *                         type: number
+   *                       veiculosAgrupados:
+   *                         type: number
+   *                       percentualAgrupado:
+   *                         type: number
+   *                       maiorAgrupamento:
+   *                         type: number
+   *                 meta:
+   *                   type: object
+   *       500:
+   *         description: Erro interno do servidor
+   */
+  async getBunchingRanking(req, res, next) {
+    try {
+      const startTime = Date.now();
+      const distanceKm = req.query.distancia ? parseFloat(req.query.distancia) : config.bunching.distanceKm;
+      const limite = req.query.limite ? parseInt(req.query.limite) : 20;
+
+      const lines = await sppoService.getBunching({ distanceKm, status: requestedStatus(req) });
+      const ranking = lines
+        .filter(line => line.agrupamentos.length > 0)
+        .map(line => ({
+          linha: line.linha,
+          agrupamentos: line.agrupamentos.length,
+          veiculos: line.veiculos,
+          veiculosAgrupados: line.veiculosAgrupados,
+          percentualAgrupado: parseFloat(((line.veiculosAgrupados / line.veiculos) * 100).toFixed(1)),
+          maiorAgrupamento: line.agrupamentos[0].veiculos
+        }))
+        .sort((a, b) => b.agrupamentos - a.agrupamentos || b.veiculosAgrupados - a.veiculosAgrupados);
+      const duration = Date.now() - startTime;
+
+      logger.info(`GET /api/sppo/agrupamentos - ${ranking.length} de ${lines.length} linhas com agrupamentos em ${duration}ms`);
+
+      res.json({
+        data: ranking.slice(0, limite),
+        meta: {
+          distanciaKm: distanceKm,
+          linhasAnalisadas: lines.length,
+          linhasComAgrupamento: ranking.length,
+          totalAgrupamentos: ranking.reduce((sum, line) => sum + line.agrupamentos, 0),
+          timestamp: new Date().toISOString(),
+          duration: `${duration}ms`,
+          ...dataSourceMeta(res)
+        }
+      });
+    } catch (error) {
+      logger.error('Erro em getBunchingRanking:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/sppo/sem-sinal:
+   *   get:
+   *     summary: Veículos sem reporte há mais de um tempo
+   *     description: |
+   *       Último reporte conhecido de cada veículo sem sinal, inclusive dos que deixaram de aparecer
+   *       no feed da SMTR (acompanhados entre snapshots por ACTIVITY_TRACKING_RETENTION_HOURS).
+   *       Ordenado do silêncio mais longo para o mais curto.
+   *     tags: [SPPO]
+   *     parameters:
+   *       - in: query
+   *         name: minutos
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 1440
+   *           default: 15
+   *         description: Tempo mínimo desde o último reporte
+   *       - in: query
+   *         name: linha
+   *         schema:
+   *           type: string
+   *         description: Considerar apenas uma linha
+   *       - $ref: '#/components/parameters/formato'
+   *       - $ref: '#/components/parameters/status'
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/cursor'
+   *       - $ref: '#/components/parameters/ordenar'
+   *       - $ref: '#/components/parameters/campos'
+   *     responses:
+   *       200:
+   *         description: Veículos sem sinal com a última posição conhecida
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       ordem:
+   *                         type: string
+   *                       linha:
+   *                         type: string
+   *                       latitude:
+   *                         type: number
+   *                       longitude:
+   *                         type: number
+   *                       dataHora:
+   *                         type: string
+   *                         format: date-time
+   *                         description: Último reporte do veículo
+   *                       minutosSemSinal:
+   *                         type: number
+   *                       presenteNoFeed:
+   *                         type: boolean
+   *                         description: false quando o veículo não aparece mais no feed
+   *                       vistoNoFeedEm:
+   *                         type: string
+   *                         format: date-time
+   *                         description: Último snapshot em que o veículo apareceu
+   *                 meta:
+   *                   type: object
+   *       400:
+   *         description: Parâmetros inválidos
+   *       500:
+   *         description: Erro interno do servidor
+   */
+  async getSilentVehicles(req, res, next) {
+    try {
+      const startTime = Date.now();
+      const minutos = req.query.minutos ? parseInt(req.query.minutos) : 15;
+      const { linha } = req.query;
+
+      // Sem filtro explícito todos os estados são mantidos (veículos na garagem também ficam sem sinal)
+      const data = (await sppoService.getSilentVehicles(minutos, linha))
+        .filter(createBusFilter({ status: parseStatus(req.query.status, ACTIVITY_STATUSES) }));
+      const duration = Date.now() - startTime;
+
+      logger.info(`GET /api/sppo/sem-sinal - ${data.length} veículos sem sinal há mais de ${minutos} minutos em ${duration}ms`);
+
+      sendBusList(req, res, data, {
+        minutos,
+        linha: linha || null,
+        total: data.length,
+        foraDoFeed: data.filter(bus => !bus.presenteNoFeed).length,
+        veiculosAcompanhados: sppoService.lastSeen.size,
+        timestamp: new Date().toISOString(),
+        duration: `${duration}ms`,
+        ...dataSourceMeta(res)
+      });
+    } catch (error) {
+      logger.error('Erro em getSilentVehicles:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/sppo/qualidade:
+   *   get:
+   *     summary: Relatório da qualidade dos dados de GPS
+   *     description: |
+   *       Contagem dos registros reprovados por regra nos últimos snapshots e os veículos
+   *       e linhas com mais ocorrências. Regras: coordenada_zero, fora_da_area, data_invalida,
+   *       data_futura, duplicado e salto (deslocamento impossível desde o reporte anterior).
+   *     tags: [SPPO]
+   *     parameters:
+   *       - in: query
+   *         name: limite
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 10
+   *         description: Quantidade de veículos e linhas no ranking
+   *     responses:
+   *       200:
+   *         description: Relatório de qualidade
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     modo:
+   *                       type: string
+   *                       enum: [descartar, sinalizar]
+   *                     regras:
+   *                       type: array
+   *                       items:
+   *                         type: string
+   *                     janela:
+   *                       type: object
+   *                     registros:
+   *                       type: number
+   *                     sinalizados:
+   *                       type: number
+   *                     percentual:
+   *                       type: number
+   *                     porRegra:
+   *                       type: object
+   *                     ultimoSnapshot:
+   *                       type: object
+   *                     piores:
+   *                       type: object
+   *                       properties:
+   *                         veiculos:
+   *                           type: array
+   *                           items:
+   *                             type: object
+   *                         linhas:
+   *                           type: array
+   *                           items:
+   *                             type: object
+   *                 meta:
+   *                   type: object
+   *       400:
+   *         description: Parâmetros inválidos
+   *       500:
+   *         description: Erro interno do servidor
+   */
+  async getQualityReport(req, res, next) {
+    try {
+      const limite = parseInt(req.query.limite) || 10;
+      const report = qualityService.getReport(limite);
+
+      logger.info(`GET /api/sppo/qualidade - ${report.sinalizados} de ${report.registros} registros reprovados em ${report.janela.snapshots} snapshots`);
+
+      res.json({
+        data: report,
+        meta: {
+          timestamp: new Date().toISOString(),
+          ...dataSourceMeta(res)
+        }
+      });
+    } catch (error) {
+      logger.error('Erro em getQualityReport:', error);
       next(error);
     }
   }
@@ -301,6 +2231,8 @@ class SppoController {
    *   get:
    *     summary: Obtém estatísticas dos dados de GPS
    *     tags: [SPPO]
+   *     parameters:
+   *       - $ref: '#/components/parameters/status'
    *     responses:
    *       200:
    *         description: Estatísticas dos dados de GPS
@@ -314,6 +2246,9 @@ class SppoController {
    *                   properties:
    *                     total:
    *                       type: number
+   *                     byStatus:
+   *                       type: object
+   *                       description: Veículos do snapshot por estado de atividade (sem o filtro status)
    *                     byLine:
    *                       type: object
    *                     avgSpeed:
@@ -329,7 +2264,7 @@ class SppoController {
   async getStats(req, res, next) {
     try {
       const startTime = Date.now();
-      const stats = await sppoService.getStats();
+      const stats = await sppoService.getStats(requestedStatus(req));
       const duration = Date.now() - startTime;
       
       logger.info(`GET /api/sppo/stats - estatísticas obtidas em ${duration}ms`);
@@ -338,7 +2273,8 @@ class SppoController {
         data: stats,
         meta: {
           timestamp: new Date().toISOString(),
-          duration: `${duration}ms`
+          duration: `${duration}ms`,
+          ...dataSourceMeta(res)
         }
       });
     } catch (error) {
@@ -347,6 +2283,73 @@ class SppoController {
     }
   }
 
+  /**
+   * @swagger
+   * /api/sppo/status:
+   *   get:
+   *     summary: Obtém o estado da atualização dos dados em segundo plano
+   *     tags: [SPPO]
+   *     responses:
+   *       200:
+   *         description: Estado do poller, do snapshot atual e da fonte de dados
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     poller:
+   *                       type: object
+   *                       properties:
+   *                         ativo:
+   *                           type: boolean
+   *                         intervaloMs:
+   *                           type: number
+   *                         ultimoSucesso:
+   *                           type: string
+   *                           format: date-time
+   *                         ultimoErro:
+   *                           type: object
+   *                         duracaoMs:
+   *                           type: number
+   *                         veiculos:
+   *                           type: number
+   *                     snapshot:
+   *                       type: object
+   *                     fonte:
+   *                       type: object
+   *                 meta:
+   *                   type: object
+   *       500:
+   *         description: Erro interno do servidor
+   */
+  async getStatus(req, res, next) {
+    try {
+      res.json({
+        data: {
+          poller: sppoPoller.getStatus(),
+          upstream: sppoService.getUpstreamStatus(),
+          snapshot: sppoService.getSnapshotInfo(),
+          fonte: sppoService.source.describe(),
+          tempoReal: {
+            ...updateHub.getStatus(),
+            clientesSse: sseClients.size,
+            websocket: websocketService.getStatus()
+          },
+          historico: config.history.enabled ? historyService.getStatus() : null
+        },
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Erro em getStatus:', error);
+      next(error);
+    }
+  }
+
   /**
    * @swagger
    * /api/sppo/cache/clear:
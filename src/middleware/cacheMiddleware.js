@@ -0,0 +1,72 @@
+import crypto from 'crypto';
+import sppoService from '../services/sppoService.js';
+import sppoPoller from '../services/pollerService.js';
+
+/**
+ * Calcula por quantos segundos o snapshot atual continua válido: até a próxima
+ * execução do poller ou, sem poller (ou com o poller atrasado), até a expiração
+ * do snapshot no cache
+ * @param {Object} info - Informações do snapshot (`sppoService.getSnapshotInfo()`)
+ * @returns {number} Segundos restantes (0 se o snapshot já estiver expirado)
+ */
+function remainingSeconds(info) {
+  const now = Date.now();
+  const poller = sppoPoller.getStatus();
+  const nextPoll = poller.ativo && poller.proximaExecucao ? Date.parse(poller.proximaExecucao) : NaN;
+
+  // Execução prevista já passou (busca lenta ou upstream fora do ar): o snapshot vale até expirar no cache
+  const expiresAt = nextPoll > now ? nextPoll : Date.parse(info.expiraEm);
+
+  if (Number.isNaN(expiresAt)) {
+    return 0;
+  }
+  return Math.max(0, Math.floor((expiresAt - now) / 1000));
+}
+
+/**
+ * Middleware de GET condicional para respostas derivadas do snapshot atual
+ *
+ * Define `ETag` (id do snapshot + URL + Accept), `Last-Modified` (horário da
+ * busca na fonte) e `Cache-Control` com `max-age` até a próxima atualização.
+ * Quando o cliente já tem a versão atual (`If-None-Match`/`If-Modified-Since`),
+ * responde 304 sem executar o controlador.
+ *
+ * @param {Object} req - Objeto de requisição
+ * @param {Object} res - Objeto de resposta
+ * @param {Function} next - Próxima função middleware
+ */
+export async function snapshotConditional(req, res, next) {
+  let snapshot;
+  try {
+    snapshot = await sppoService.getCurrentSnapshot();
+  } catch (error) {
+    return next(error);
+  }
+
+  // Validadores do snapshot efetivamente servido, mesmo que o poller publique outro durante a requisição
+  const info = sppoService.getSnapshotInfo(snapshot);
+  if (!info) {
+    return next();
+  }
+
+  // ETag fraca: o conteúdo é o mesmo para o snapshot, mas o meta (timestamp, duration) muda a cada resposta
+  const variant = crypto
+    .createHash('sha1')
+    .update(`${req.originalUrl}|${req.get('Accept') || ''}`)
+    .digest('base64url')
+    .slice(0, 16);
+
+  res.set({
+    'ETag': `W/"${info.id}-${variant}"`,
+    'Last-Modified': new Date(info.fetchedAt).toUTCString(),
+    'Cache-Control': `public, max-age=${remainingSeconds(info)}`
+  });
+
+  // A variante depende do Accept: o 304 também precisa do Vary, pois não passa pelo controlador
+  res.vary('Accept');
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  next();
+}
@@ -1,20 +1,184 @@
 import express from 'express';
 import sppoController from '../controllers/sppoController.js';
-import { validateParams, validateQuery } from '../middleware/errorMiddleware.js';
+import { validateParams, validateQuery, validateRequest } from '../middleware/errorMiddleware.js';
+import { snapshotConditional } from '../middleware/cacheMiddleware.js';
 import Joi from 'joi';
+import { ACTIVITY_STATUSES } from '../utils/activityClassifier.js';
 
 const router = express.Router();
 
+// Estados de atividade separados por vírgula, ou `todos`
+const statusKey = Joi.string().max(100).custom((value, helpers) => {
+  const invalid = value.split(',')
+    .map(status => status.trim().toLowerCase())
+    .filter(status => status !== 'todos' && !ACTIVITY_STATUSES.includes(status));
+  return invalid.length > 0
+    ? helpers.message(`"status" inválido: ${invalid.join(', ')} (use ${ACTIVITY_STATUSES.join(', ')} ou todos)`)
+    : value;
+});
+
+// Parâmetros de saída aceitos por todas as rotas que retornam listas de ônibus
+const outputKeys = {
+  status: statusKey,
+  formato: Joi.string().valid('json', 'geojson'),
+  limit: Joi.number().integer().min(1).max(1000),
+  cursor: Joi.string().max(200),
+  ordenar: Joi.string().max(200),
+  campos: Joi.string().max(500)
+};
+
+const outputSchema = Joi.object(outputKeys);
+
+// Schema de validação para as estatísticas
+const statsSchema = Joi.object({
+  status: statusKey
+});
+
 // Schema de validação para parâmetros de linha
 const linhaSchema = Joi.object({
   linha: Joi.string().min(1).max(20).required()
 });
 
+// Modos de correspondência de linha
+const matchKey = Joi.string().valid('exact', 'prefix', 'contains');
+
+// Schema de validação para a query da busca por linha
+const linhaQuerySchema = Joi.object({
+  match: matchKey,
+  ...outputKeys
+});
+
+// Schema de validação para a busca de várias linhas
+const linhasSchema = Joi.object({
+  l: Joi.string().min(1).max(1000).required(),
+  match: matchKey,
+  status: statusKey
+});
+
+// Schema de validação para o catálogo de linhas
+const catalogoSchema = Joi.object({
+  q: Joi.string().max(20),
+  status: statusKey
+});
+
+// Schemas de validação para os agrupamentos (bunching)
+const distanciaAgrupamentoKey = Joi.number().min(0.05).max(5);
+
+const linhaAgrupamentosSchema = Joi.object({
+  distancia: distanciaAgrupamentoKey,
+  status: statusKey
+});
+
+const agrupamentosSchema = Joi.object({
+  distancia: distanciaAgrupamentoKey,
+  status: statusKey,
+  limite: Joi.number().integer().min(1).max(500)
+});
+
+// Schema de validação para os veículos sem sinal
+const semSinalSchema = Joi.object({
+  minutos: Joi.number().integer().min(1).max(1440),
+  linha: Joi.string().min(1).max(20),
+  ...outputKeys
+});
+
+// Schema de validação para o relatório de qualidade
+const qualidadeSchema = Joi.object({
+  limite: Joi.number().integer().min(1).max(100)
+});
+
 // Schema de validação para parâmetros de posição
 const positionSchema = Joi.object({
   lat: Joi.number().min(-90).max(90).required(),
   lon: Joi.number().min(-180).max(180).required(),
-  raio: Joi.number().min(0.1).max(50).default(1)
+  raio: Joi.number().min(0.1).max(50).default(1),
+  ...outputKeys
+});
+
+// Schema de validação para os ônibus mais próximos
+const nearestSchema = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lon: Joi.number().min(-180).max(180).required(),
+  k: Joi.number().integer().min(1).max(100).default(10),
+  linha: Joi.string().min(1).max(20),
+  ...outputKeys
+});
+
+// Schemas de validação para consultas por área
+const bboxSchema = Joi.object({
+  bbox: Joi.string().required(),
+  ...outputKeys
+});
+
+const ringSchema = Joi.array().items(Joi.array().items(Joi.number()).min(2).max(3)).min(4);
+const polygonGeometrySchema = Joi.object({
+  type: Joi.string().valid('Polygon', 'MultiPolygon').required(),
+  coordinates: Joi.when('type', {
+    is: 'Polygon',
+    then: Joi.array().items(ringSchema).min(1),
+    otherwise: Joi.array().items(Joi.array().items(ringSchema).min(1)).min(1)
+  }).required()
+}).unknown(true);
+
+const areaSchema = Joi.alternatives().try(
+  polygonGeometrySchema,
+  Joi.object({
+    type: Joi.string().valid('Feature').required(),
+    geometry: polygonGeometrySchema.required()
+  }).unknown(true)
+);
+
+// Schema de validação para as exportações (mesmos filtros de linha, posição e área)
+const exportSchema = Joi.object({
+  linha: Joi.string().min(1).max(20),
+  lat: Joi.number().min(-90).max(90),
+  lon: Joi.number().min(-180).max(180),
+  raio: Joi.number().min(0.1).max(50),
+  bbox: Joi.string(),
+  campos: Joi.string().max(500),
+  status: statusKey
+}).and('lat', 'lon');
+
+// Schema de validação para o stream de atualizações
+const streamSchema = Joi.object({
+  linha: Joi.string().max(500),
+  bbox: Joi.string(),
+  lat: Joi.number().min(-90).max(90),
+  lon: Joi.number().min(-180).max(180),
+  raio: Joi.number().min(0.1).max(50),
+  status: statusKey,
+  lastEventId: Joi.string().max(50)
+}).and('lat', 'lon');
+
+// Schema de validação para a consulta incremental
+const deltaSchema = Joi.object({
+  since: Joi.string().max(50),
+  status: statusKey
+});
+
+// Schema de validação para o feed GTFS-Realtime
+const gtfsRealtimeSchema = Joi.object({
+  debug: Joi.string().valid('0', '1'),
+  status: statusKey
+});
+
+// Schemas de validação para a trajetória de um ônibus
+const ordemSchema = Joi.object({
+  ordem: Joi.string().min(1).max(20).required()
+});
+
+const trajectorySchema = Joi.object({
+  desde: Joi.date().iso(),
+  ate: Joi.date().iso(),
+  ...outputKeys
+});
+
+// Schema de validação para o estado da frota em um instante passado
+const snapshotSchema = Joi.object({
+  at: Joi.date().iso().required(),
+  tolerancia: Joi.number().min(1).max(60),
+  linha: Joi.string().min(1).max(20),
+  ...outputKeys
 });
 
 /**
@@ -22,26 +186,266 @@ const positionSchema = Joi.object({
  * tags:
  *   name: SPPO
  *   description: API para consulta de dados de GPS do SPPO do Rio de Janeiro
+ * components:
+ *   parameters:
+ *     formato:
+ *       in: query
+ *       name: formato
+ *       required: false
+ *       schema:
+ *         type: string
+ *         enum: [json, geojson]
+ *       description: Formato da resposta. `geojson` (ou `Accept application/geo+json`) retorna uma FeatureCollection de pontos com o bloco meta como membro externo
+ *     status:
+ *       in: query
+ *       name: status
+ *       required: false
+ *       schema:
+ *         type: string
+ *       example: em_movimento,parado
+ *       description: Estados de atividade separados por vírgula (em_movimento, parado, garagem, sem_sinal) ou `todos`. Padrão em_movimento,parado (ACTIVITY_DEFAULT_STATUS); na trajetória de um ônibus, todos
+ *     match:
+ *       in: query
+ *       name: match
+ *       required: false
+ *       schema:
+ *         type: string
+ *         enum: [exact, prefix, contains]
+ *       description: Correspondência da linha. `exact` (padrão em /linhas) exige a linha igual, `prefix` aceita linhas que começam com o valor e `contains` linhas que o contêm. Em /linha/{linha}, sem `match` vale a busca exata com fallback parcial
+ *     limit:
+ *       in: query
+ *       name: limit
+ *       required: false
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 1000
+ *       description: Tamanho da página. Sem `limit` nem `cursor` a lista é retornada inteira; com paginação o meta traz `paginacao` e `links`
+ *     cursor:
+ *       in: query
+ *       name: cursor
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: Cursor opaco da página, obtido em `meta.paginacao.proximoCursor` ou `meta.links`. Vale apenas para a mesma consulta (filtros e ordenação) e o mesmo snapshot; depois de uma atualização dos dados a resposta é 409 e a paginação deve recomeçar sem cursor
+ *     ordenar:
+ *       in: query
+ *       name: ordenar
+ *       required: false
+ *       schema:
+ *         type: string
+ *       example: velocidade:desc,linha
+ *       description: Critérios de ordenação no formato campo[:asc|desc], separados por vírgula
+ *     campos:
+ *       in: query
+ *       name: campos
+ *       required: false
+ *       schema:
+ *         type: string
+ *       example: ordem,linha,latitude,longitude
+ *       description: Campos retornados em cada ônibus, separados por vírgula
+ *     distanciaAgrupamento:
+ *       in: query
+ *       name: distancia
+ *       required: false
+ *       schema:
+ *         type: number
+ *         minimum: 0.05
+ *         maximum: 5
+ *       description: Distância máxima em km entre ônibus agrupados (padrão BUNCHING_DISTANCE_KM, 0,3 km)
+ *     exportLinha:
+ *       in: query
+ *       name: linha
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: Filtrar por linha
+ *     exportLat:
+ *       in: query
+ *       name: lat
+ *       required: false
+ *       schema:
+ *         type: number
+ *       description: Latitude do centro da busca por raio (exige lon)
+ *     exportLon:
+ *       in: query
+ *       name: lon
+ *       required: false
+ *       schema:
+ *         type: number
+ *       description: Longitude do centro da busca por raio (exige lat)
+ *     exportRaio:
+ *       in: query
+ *       name: raio
+ *       required: false
+ *       schema:
+ *         type: number
+ *         minimum: 0.1
+ *         maximum: 50
+ *         default: 1
+ *       description: Raio de busca em quilômetros
+ *     exportBbox:
+ *       in: query
+ *       name: bbox
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: Retângulo no formato minLon,minLat,maxLon,maxLat
+ *     exportCampos:
+ *       in: query
+ *       name: campos
+ *       required: false
+ *       schema:
+ *         type: string
+ *       example: ordem,linha,latitude,longitude
+ *       description: Colunas exportadas, separadas por vírgula (padrão linha,ordem,velocidade,latitude,longitude,dataHora)
  */
 
 // Rota para obter todos os ônibus
-router.get('/', sppoController.getAllBuses);
+router.get('/',
+  validateQuery(outputSchema),
+  snapshotConditional,
+  sppoController.getAllBuses
+);
 
 // Rota para obter estatísticas
-router.get('/stats', sppoController.getStats);
+router.get('/stats',
+  validateQuery(statsSchema),
+  snapshotConditional,
+  sppoController.getStats
+);
+
+// Rotas para os agrupamentos (bunching) de ônibus da mesma linha
+router.get('/linhas/:linha/agrupamentos',
+  validateParams(linhaSchema),
+  validateQuery(linhaAgrupamentosSchema),
+  snapshotConditional,
+  sppoController.getLineBunching
+);
+
+router.get('/agrupamentos',
+  validateQuery(agrupamentosSchema),
+  snapshotConditional,
+  sppoController.getBunchingRanking
+);
+
+// Rota para os veículos sem sinal (inclusive os que sumiram do feed); sem GET condicional, o tempo sem sinal muda a cada requisição
+router.get('/sem-sinal',
+  validateQuery(semSinalSchema),
+  sppoController.getSilentVehicles
+);
+
+// Rota para o relatório de qualidade dos dados de GPS
+router.get('/qualidade',
+  validateQuery(qualidadeSchema),
+  snapshotConditional,
+  sppoController.getQualityReport
+);
+
+// Rota para obter o estado da atualização em segundo plano
+router.get('/status', sppoController.getStatus);
 
 // Rota para filtrar por linha
 router.get('/linha/:linha', 
   validateParams(linhaSchema),
+  validateQuery(linhaQuerySchema),
+  snapshotConditional,
   sppoController.getBusesByLine
 );
 
+// Rota para buscar várias linhas de uma vez
+router.get('/linhas',
+  validateQuery(linhasSchema),
+  snapshotConditional,
+  sppoController.getBusesByLines
+);
+
+// Rotas para o catálogo de linhas
+router.get('/linhas/catalogo',
+  validateQuery(catalogoSchema),
+  snapshotConditional,
+  sppoController.getLineCatalog
+);
+
+router.get('/linhas/catalogo/:linha',
+  validateParams(linhaSchema),
+  snapshotConditional,
+  sppoController.getLineCatalogEntry
+);
+
 // Rota para filtrar por posição geográfica
 router.get('/posicao', 
   validateQuery(positionSchema),
+  snapshotConditional,
   sppoController.getBusesByPosition
 );
 
+// Rota para obter os ônibus mais próximos de um ponto
+router.get('/proximos',
+  validateQuery(nearestSchema),
+  snapshotConditional,
+  sppoController.getNearestBuses
+);
+
+// Rotas para filtrar por área (retângulo via query ou polígono GeoJSON no corpo)
+router.get('/area',
+  validateQuery(bboxSchema),
+  snapshotConditional,
+  sppoController.getBusesByBBox
+);
+
+router.post('/area',
+  validateQuery(outputSchema),
+  validateRequest(areaSchema),
+  sppoController.getBusesByPolygon
+);
+
+// Rota para obter a trajetória registrada de um ônibus
+router.get('/onibus/:ordem/trajetoria',
+  validateParams(ordemSchema),
+  validateQuery(trajectorySchema),
+  sppoController.getBusTrajectory
+);
+
+// Rota para reconstruir o estado da frota em um instante passado
+router.get('/snapshot',
+  validateQuery(snapshotSchema),
+  sppoController.getSnapshotAt
+);
+
+// Rotas para exportação em streaming
+router.get('/export.csv',
+  validateQuery(exportSchema),
+  snapshotConditional,
+  sppoController.exportCsv
+);
+
+router.get('/export.ndjson',
+  validateQuery(exportSchema),
+  snapshotConditional,
+  sppoController.exportNdjson
+);
+
+// Rota para o stream de atualizações (Server-Sent Events)
+router.get('/stream',
+  validateQuery(streamSchema),
+  sppoController.streamUpdates
+);
+
+// Rota para a consulta incremental (apenas o que mudou desde um snapshot)
+router.get('/delta',
+  validateQuery(deltaSchema),
+  snapshotConditional,
+  sppoController.getDelta
+);
+
+// Rota para o feed GTFS-Realtime (VehiclePositions)
+router.get('/gtfs-rt/vehicle-positions.pb',
+  validateQuery(gtfsRealtimeSchema),
+  snapshotConditional,
+  sppoController.getGtfsRealtimeVehiclePositions
+);
+
 // Rota para limpar cache (apenas para administração)
 router.post('/cache/clear', sppoController.clearCache);
 
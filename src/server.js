@@ -1,3 +1,5 @@
+// Carregar variáveis de ambiente antes dos demais módulos (config/app.js lê process.env na importação)
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
@@ -5,22 +7,24 @@ import compression from 'compression';
 import rateLimit from 'express-rate-limit';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import dotenv from 'dotenv';
 import winston from 'winston';
 import swaggerUi from 'swagger-ui-express';
 import swaggerJsdoc from 'swagger-jsdoc';
 
 import sppoRoutes from './routes/sppoRoutes.js';
 import { setupCache } from './services/cacheService.js';
+import sppoPoller from './services/pollerService.js';
+import sppoService from './services/sppoService.js';
+import historyService from './services/historyService.js';
+import updateHub from './services/updateHub.js';
+import websocketService from './services/websocketService.js';
+import { config } from './config/app.js';
 import { errorHandler, notFoundHandler } from './middleware/errorMiddleware.js';
 
 // Configuração do ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Carregar variáveis de ambiente
-dotenv.config();
-
 // Configuração do logger
 const logger = winston.createLogger({
   level: 'info',
@@ -110,7 +114,10 @@ app.use((req, res, next) => {
     ip: req.ip,
     userAgent: req.get('User-Agent')
   });
-  next();
+
+  // Snapshot servido à requisição, usado no meta (procedência e idade) e nos cursores de paginação
+  res.locals.snapshotContext = {};
+  sppoService.runWithRequestContext(res.locals.snapshotContext, next);
 });
 
 // Servir arquivos estáticos da pasta public
@@ -122,6 +129,14 @@ app.use(express.static(path.join(__dirname, 'public'), {
 // Configurar cache
 setupCache();
 
+// Gravar cada snapshot no histórico de posições
+if (config.history.enabled) {
+  historyService.attach(sppoService);
+}
+
+// Calcular as diferenças entre snapshots para os clientes em tempo real
+updateHub.attach(sppoService);
+
 // Rotas da API
 app.use('/api/sppo', sppoRoutes);
 
@@ -139,11 +154,15 @@ app.get('/', (req, res) => {
 
 // Rota de health check
 app.get('/health', (req, res) => {
+  const upstream = sppoService.getUpstreamStatus();
+
   res.json({
-    status: 'OK',
+    status: upstream.disponivel ? 'OK' : 'DEGRADED',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    version: '2.0.0'
+    version: '2.0.0',
+    poller: sppoPoller.getStatus(),
+    upstream
   });
 });
 
@@ -154,9 +173,24 @@ app.get('/api', (req, res) => {
     version: '2.0.0',
     documentation: '/api-docs',
     endpoints: {
-      todos: '/api/sppo',
-      filtrarPorLinha: '/api/sppo/linha/:linha',
+      todos: '/api/sppo?status=em_movimento,parado,garagem,sem_sinal ou todos',
+      filtrarPorLinha: '/api/sppo/linha/:linha?match=exact|prefix|contains',
+      catalogoLinhas: '/api/sppo/linhas/catalogo?q=XX ou /api/sppo/linhas/catalogo/:linha',
+      variasLinhas: '/api/sppo/linhas?l=415,474,SV922&match=exact|prefix|contains',
       filtrarPorPosicao: '/api/sppo/posicao?lat=XX.XXXXX&lon=XX.XXXXX&raio=X',
+      maisProximos: '/api/sppo/proximos?lat=XX.XXXXX&lon=XX.XXXXX&k=10&linha=XXX',
+      filtrarPorArea: '/api/sppo/area?bbox=minLon,minLat,maxLon,maxLat (GET) ou GeoJSON Polygon/MultiPolygon (POST)',
+      exportacao: '/api/sppo/export.csv ou /api/sppo/export.ndjson?linha=XXX&bbox=...&campos=ordem,linha',
+      delta: '/api/sppo/delta?since=<meta.snapshot da resposta anterior ou ISO>',
+      stream: '/api/sppo/stream?linha=XXX&bbox=... (Server-Sent Events)',
+      websocket: `${config.websocket.path} (mensagens inscrever/cancelar)`,
+      gtfsRealtime: '/api/sppo/gtfs-rt/vehicle-positions.pb?debug=1',
+      trajetoria: '/api/sppo/onibus/:ordem/trajetoria?desde=ISO&ate=ISO',
+      snapshot: '/api/sppo/snapshot?at=ISO&tolerancia=5&linha=XXX',
+      agrupamentos: '/api/sppo/agrupamentos?distancia=0.3 ou /api/sppo/linhas/:linha/agrupamentos',
+      semSinal: '/api/sppo/sem-sinal?minutos=15&linha=XXX',
+      qualidade: '/api/sppo/qualidade?limite=10',
+      status: '/api/sppo/status',
       health: '/health'
     }
   });
@@ -169,21 +203,33 @@ app.use(notFoundHandler);
 app.use(errorHandler);
 
 // Iniciar servidor
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info(`🚀 Servidor rodando na porta ${PORT}`);
   logger.info(`📖 Documentação disponível em: http://localhost:${PORT}/api-docs`);
   logger.info(`🌐 Acesse: http://localhost:${PORT}`);
   logger.info(`💾 Cache ativado para melhor performance`);
+
+  // Atualização dos dados em segundo plano, desacoplada das requisições
+  if (config.sppo.poll.enabled) {
+    sppoPoller.start();
+  }
 });
 
+// Assinaturas em tempo real via WebSocket no mesmo servidor HTTP
+websocketService.attach(server);
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM recebido, encerrando servidor...');
+  sppoPoller.stop();
+  websocketService.close();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT recebido, encerrando servidor...');
+  sppoPoller.stop();
+  websocketService.close();
   process.exit(0);
 });
 
@@ -93,6 +93,15 @@ class CacheService {
     }
   }
 
+  /**
+   * Obtém o instante de expiração de uma chave do cache geral
+   * @param {string} key - Chave do cache
+   * @returns {number|null} Timestamp de expiração em ms ou null se a chave não existir
+   */
+  getGeneralExpiration(key) {
+    return generalCache.getTtl(key) || null;
+  }
+
   /**
    * Obtém dados do cache de linha
    * @param {string} key - Chave do cache
@@ -161,6 +170,15 @@ class CacheService {
     logger.info('Todos os caches foram limpos');
   }
 
+  /**
+   * Limpa os caches derivados do snapshot (linha e posição)
+   */
+  clearDerived() {
+    lineCache.flushAll();
+    positionCache.flushAll();
+    logger.info('Caches de linha e posição limpos');
+  }
+
   /**
    * Obtém estatísticas do cache
    * @returns {Object} Estatísticas dos caches
@@ -0,0 +1,311 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import winston from 'winston';
+import { config } from '../config/app.js';
+import { ActivityClassifier } from '../utils/activityClassifier.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+const HOUR_MS = 3600000;
+
+// Campos de cada posição gravada no histórico
+const HISTORY_FIELDS = ['ordem', 'linha', 'latitude', 'longitude', 'velocidade', 'dataHora', 'status'];
+
+/**
+ * Histórico de posições append-only em arquivos NDJSON segmentados por hora (UTC)
+ *
+ * Layout: `<dir>/<AAAA-MM-DD>/<HH>.ndjson`, segmentado pelo `dataHora` de cada
+ * posição, de modo que consultas por intervalo leem apenas os segmentos
+ * necessários. Posições repetidas (mesmo `ordem` + `dataHora`) não são regravadas.
+ */
+class HistoryService {
+  /**
+   * @param {Object} options - Opções do histórico
+   * @param {string} options.dir - Diretório base dos segmentos
+   * @param {number} options.retentionHours - Horas de retenção dos segmentos
+   */
+  constructor({ dir, retentionHours }) {
+    this.dir = dir;
+    this.retentionHours = retentionHours;
+
+    this.lastSeen = new Map(); // Map<ordem, timestamp da última posição gravada>
+    this.primed = false;
+    this.writeQueue = Promise.resolve();
+    this.lastPrune = 0;
+
+    this.status = {
+      registrosGravados: 0,
+      duplicadosIgnorados: 0,
+      ultimaGravacao: null,
+      ultimoErro: null
+    };
+  }
+
+  /**
+   * Passa a gravar cada snapshot publicado pelo serviço SPPO
+   * @param {EventEmitter} service - Serviço que emite `snapshot`
+   */
+  attach(service) {
+    service.on('snapshot', (snapshot, normalizados) => {
+      this.append(normalizados).catch(error => {
+        this.status.ultimoErro = { mensagem: error.message, em: new Date().toISOString() };
+        logger.error('Erro ao gravar histórico de posições:', error);
+      });
+    });
+    logger.info(`Histórico de posições ativado em ${this.dir}`);
+  }
+
+  /**
+   * Caminho do segmento que contém um instante
+   * @param {number} time - Timestamp em ms
+   * @returns {string} Caminho do arquivo
+   */
+  segmentPath(time) {
+    const iso = new Date(time).toISOString();
+    return path.join(this.dir, iso.slice(0, 10), `${iso.slice(11, 13)}.ndjson`);
+  }
+
+  /**
+   * Adiciona posições ao histórico (gravações são serializadas)
+   * @param {Array} registros - Registros normalizados
+   * @returns {Promise<number>} Quantidade de posições gravadas
+   */
+  append(registros) {
+    const task = this.writeQueue.then(() => this.write(registros));
+    this.writeQueue = task.catch(() => {});
+    return task;
+  }
+
+  async write(registros) {
+    if (!this.primed) {
+      await this.prime();
+    }
+
+    // Agrupar posições novas por segmento
+    const segments = new Map();
+    for (const bus of registros) {
+      const time = Date.parse(bus.dataHora);
+      if (!bus.ordem || Number.isNaN(time)) {
+        continue;
+      }
+
+      const last = this.lastSeen.get(bus.ordem);
+      if (last !== undefined && time <= last) {
+        this.status.duplicadosIgnorados++;
+        continue;
+      }
+      this.lastSeen.set(bus.ordem, time);
+
+      const file = this.segmentPath(time);
+      if (!segments.has(file)) {
+        segments.set(file, []);
+      }
+      segments.get(file).push(JSON.stringify(this.toRecord(bus)));
+    }
+
+    let written = 0;
+    for (const [file, lines] of segments) {
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      await fsp.appendFile(file, `${lines.join('\n')}\n`);
+      written += lines.length;
+    }
+
+    this.status.registrosGravados += written;
+    this.status.ultimaGravacao = new Date().toISOString();
+
+    await this.prune();
+    return written;
+  }
+
+  /**
+   * Seleciona os campos gravados de uma posição
+   * @param {Object} bus - Registro normalizado
+   * @returns {Object} Posição para o histórico
+   */
+  toRecord(bus) {
+    const record = {};
+    for (const field of HISTORY_FIELDS) {
+      if (bus[field] !== undefined) {
+        record[field] = bus[field];
+      }
+    }
+    return record;
+  }
+
+  /**
+   * Carrega a última posição gravada de cada veículo nos segmentos recentes,
+   * para manter a deduplicação após um reinício do servidor
+   */
+  async prime() {
+    const now = Date.now();
+    for await (const record of this.readRange(now - 2 * HOUR_MS, now + HOUR_MS)) {
+      const time = Date.parse(record.dataHora);
+      if (time > (this.lastSeen.get(record.ordem) ?? -Infinity)) {
+        this.lastSeen.set(record.ordem, time);
+      }
+    }
+    this.primed = true;
+  }
+
+  /**
+   * Remove segmentos (diretórios diários) fora da janela de retenção
+   */
+  async prune() {
+    const now = Date.now();
+    if (now - this.lastPrune < HOUR_MS) {
+      return;
+    }
+    this.lastPrune = now;
+
+    const limit = now - this.retentionHours * HOUR_MS;
+    let days;
+    try {
+      days = await fsp.readdir(this.dir);
+    } catch {
+      return;
+    }
+
+    for (const day of days) {
+      const dayEnd = Date.parse(`${day}T00:00:00.000Z`) + 24 * HOUR_MS;
+      if (!Number.isNaN(dayEnd) && dayEnd < limit) {
+        await fsp.rm(path.join(this.dir, day), { recursive: true, force: true });
+        logger.info(`Histórico: segmentos de ${day} removidos (retenção de ${this.retentionHours}h)`);
+      }
+    }
+
+    // Veículos sem posição na janela de retenção não precisam mais de deduplicação
+    for (const [ordem, time] of this.lastSeen) {
+      if (time < limit) {
+        this.lastSeen.delete(ordem);
+      }
+    }
+  }
+
+  /**
+   * Percorre as posições gravadas em um intervalo
+   * @param {number} desde - Início do intervalo (ms)
+   * @param {number} ate - Fim do intervalo (ms)
+   * @param {Function} [match] - Pré-filtro aplicado à linha NDJSON antes do parse
+   * @returns {AsyncGenerator<Object>} Posições dentro do intervalo
+   */
+  async *readRange(desde, ate, match) {
+    for (let hour = Math.floor(desde / HOUR_MS) * HOUR_MS; hour <= ate; hour += HOUR_MS) {
+      const file = this.segmentPath(hour);
+      if (!fs.existsSync(file)) {
+        continue;
+      }
+
+      const lines = readline.createInterface({
+        input: fs.createReadStream(file, { encoding: 'utf8' }),
+        crlfDelay: Infinity
+      });
+
+      for await (const line of lines) {
+        if (!line || (match && !match(line))) {
+          continue;
+        }
+
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          continue; // Linha parcial (ex.: gravação interrompida)
+        }
+
+        const time = Date.parse(record.dataHora);
+        if (time >= desde && time <= ate) {
+          yield record;
+        }
+      }
+    }
+  }
+
+  /**
+   * Obtém a trajetória ordenada de um veículo
+   * @param {string} ordem - Número de ordem do veículo
+   * @param {Date} desde - Início do intervalo
+   * @param {Date} ate - Fim do intervalo
+   * @returns {Promise<Array>} Posições ordenadas por dataHora
+   */
+  async getTrajectory(ordem, desde, ate) {
+    // Pré-filtro textual evita o parse de linhas de outros veículos
+    const needle = `"ordem":${JSON.stringify(ordem)}`;
+    const points = [];
+
+    for await (const record of this.readRange(desde.getTime(), ate.getTime(), line => line.includes(needle))) {
+      if (record.ordem === ordem) {
+        points.push(record);
+      }
+    }
+
+    points.sort((a, b) => Date.parse(a.dataHora) - Date.parse(b.dataHora));
+
+    // Posições gravadas sem estado (antes de o histórico guardá-lo) são classificadas na leitura,
+    // em ordem e em relação ao próprio horário, como seriam no snapshot em que chegaram
+    const classifier = new ActivityClassifier(config.activity);
+    for (const point of points) {
+      if (!point.status) {
+        classifier.apply([point], Date.parse(point.dataHora));
+      }
+    }
+    return points;
+  }
+
+  /**
+   * Reconstrói o estado da frota em um instante passado: a última posição
+   * conhecida de cada veículo dentro da janela de tolerância anterior ao instante
+   * @param {Date} at - Instante de referência
+   * @param {number} toleranciaMinutos - Janela de tolerância em minutos
+   * @param {string} [linha] - Filtrar por linha (correspondência exata)
+   * @returns {Promise<Array>} Posições ordenadas por ordem
+   */
+  async getFleetAt(at, toleranciaMinutos, linha) {
+    const ate = at.getTime();
+    const desde = ate - toleranciaMinutos * 60000;
+    const linhaFormatada = linha?.toString().trim().toLowerCase();
+    const latest = new Map();
+
+    for await (const record of this.readRange(desde, ate)) {
+      if (linhaFormatada && record.linha?.toString().trim().toLowerCase() !== linhaFormatada) {
+        continue;
+      }
+
+      const current = latest.get(record.ordem);
+      if (!current || Date.parse(record.dataHora) > Date.parse(current.dataHora)) {
+        latest.set(record.ordem, record);
+      }
+    }
+
+    // Posições gravadas sem estado (antes de o histórico guardá-lo) são classificadas em relação ao instante consultado
+    const fleet = [...latest.values()];
+    new ActivityClassifier(config.activity).apply(fleet.filter(record => !record.status), ate);
+
+    return fleet.sort((a, b) => String(a.ordem).localeCompare(String(b.ordem)));
+  }
+
+  /**
+   * Obtém o estado do histórico
+   * @returns {Object} Estado do histórico
+   */
+  getStatus() {
+    return {
+      dir: this.dir,
+      retencaoHoras: this.retentionHours,
+      veiculosAcompanhados: this.lastSeen.size,
+      ...this.status
+    };
+  }
+}
+
+export default new HistoryService(config.history);
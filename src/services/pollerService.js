@@ -0,0 +1,136 @@
+import winston from 'winston';
+import sppoService from './sppoService.js';
+import { config } from '../config/app.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+/**
+ * Poller que atualiza o snapshot SPPO em segundo plano, independente das requisições
+ */
+class SppoPoller {
+  /**
+   * @param {Object} service - Serviço SPPO responsável por buscar e publicar snapshots
+   * @param {Object} options - Opções do poller
+   * @param {number} options.interval - Intervalo entre atualizações em ms
+   */
+  constructor(service, { interval }) {
+    this.service = service;
+    this.interval = interval;
+    this.timer = null;
+    this.running = false;
+    this.polling = false;
+
+    this.status = {
+      ultimoSucesso: null,
+      ultimoErro: null,
+      duracaoMs: null,
+      veiculos: null,
+      totalRecebidos: null,
+      execucoes: 0,
+      falhasConsecutivas: 0,
+      proximaExecucao: null
+    };
+  }
+
+  /**
+   * Inicia o poller executando a primeira atualização imediatamente
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.service.setBackgroundRefresh(true);
+    logger.info(`Poller SPPO iniciado (intervalo de ${this.interval / 1000}s)`);
+    this.poll();
+  }
+
+  /**
+   * Para o poller
+   */
+  stop() {
+    this.running = false;
+    this.service.setBackgroundRefresh(false);
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.status.proximaExecucao = null;
+    logger.info('Poller SPPO parado');
+  }
+
+  /**
+   * Executa uma atualização e agenda a próxima ao final, sem sobreposição de execuções
+   */
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+
+    this.polling = true;
+    const startTime = Date.now();
+
+    try {
+      const snapshot = await this.service.refresh();
+
+      this.status.ultimoSucesso = new Date().toISOString();
+      this.status.veiculos = snapshot.buses.length;
+      this.status.totalRecebidos = snapshot.totalRecebidos;
+      this.status.falhasConsecutivas = 0;
+    } catch (error) {
+      this.status.ultimoErro = {
+        mensagem: error.message,
+        em: new Date().toISOString()
+      };
+      this.status.falhasConsecutivas++;
+
+      // Circuito aberto é uma condição esperada: registrar sem stack trace a cada ciclo
+      if (error.name === 'CircuitOpenError') {
+        logger.warn(`Atualização do poller SPPO suspensa: ${error.message}`);
+      } else {
+        logger.error('Erro na atualização do poller SPPO:', error);
+      }
+    } finally {
+      this.status.duracaoMs = Date.now() - startTime;
+      this.status.execucoes++;
+      this.polling = false;
+      this.schedule();
+    }
+  }
+
+  /**
+   * Agenda a próxima atualização
+   */
+  schedule() {
+    if (!this.running) {
+      return;
+    }
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.poll(), this.interval);
+    this.status.proximaExecucao = new Date(Date.now() + this.interval).toISOString();
+  }
+
+  /**
+   * Obtém o estado atual do poller
+   * @returns {Object} Estado do poller
+   */
+  getStatus() {
+    return {
+      ativo: this.running,
+      intervaloMs: this.interval,
+      emExecucao: this.polling,
+      ...this.status
+    };
+  }
+}
+
+export default new SppoPoller(sppoService, config.sppo.poll);
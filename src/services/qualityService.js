@@ -0,0 +1,296 @@
+import winston from 'winston';
+import { config } from '../config/app.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+// Regras de qualidade, na ordem em que são avaliadas
+export const QUALITY_RULES = [
+  'coordenada_zero', // latitude/longitude zeradas (falha no parse) ou ausentes
+  'fora_da_area', // fora do retângulo da região metropolitana
+  'data_invalida', // dataHora ausente ou ilegível
+  'data_futura', // dataHora adiante do relógio do servidor além da tolerância
+  'duplicado', // reporte mais antigo (ou repetido) de um ordem que tem outro reporte no snapshot
+  'salto' // deslocamento impossível desde o reporte anterior (teletransporte)
+];
+
+export const QUALITY_MODES = ['descartar', 'sinalizar'];
+
+/**
+ * Etapa de validação da qualidade dos dados de GPS
+ *
+ * Aplica as regras habilitadas a cada registro normalizado. No modo `descartar`
+ * os registros reprovados são removidos do snapshot; no modo `sinalizar` são
+ * mantidos com a lista de regras violadas em `qualidade`. Um resumo de cada
+ * snapshot é guardado para o relatório de qualidade (janela dos últimos snapshots).
+ */
+export class QualityService {
+  /**
+   * @param {Object} options - Opções da validação
+   * @param {boolean} options.enabled - Validação ativa
+   * @param {string} options.mode - `descartar` ou `sinalizar`
+   * @param {Array<string>} options.rules - Regras habilitadas
+   * @param {Array<number>} options.bounds - Área válida [minLon, minLat, maxLon, maxLat]
+   * @param {number} options.futureToleranceMinutes - Tolerância para horários à frente do servidor
+   * @param {number} options.maxSpeedKmh - Velocidade acima da qual um deslocamento é salto
+   * @param {number} options.minJumpKm - Distância mínima para considerar salto
+   * @param {number} options.windowSnapshots - Snapshots mantidos no relatório
+   */
+  constructor({ enabled, mode, rules, bounds, futureToleranceMinutes, maxSpeedKmh, minJumpKm, windowSnapshots }) {
+    this.enabled = enabled;
+    this.mode = QUALITY_MODES.includes(mode) ? mode : 'descartar';
+    this.rules = new Set(rules.filter(rule => QUALITY_RULES.includes(rule)));
+    this.bounds = bounds;
+    this.futureToleranceMinutes = futureToleranceMinutes;
+    this.maxSpeedKmh = maxSpeedKmh;
+    this.minJumpKm = minJumpKm;
+    this.windowSnapshots = windowSnapshots;
+
+    this.summaries = []; // Resumos dos últimos snapshots, do mais antigo para o mais novo
+
+    const unknown = rules.filter(rule => !QUALITY_RULES.includes(rule));
+    if (unknown.length > 0) {
+      logger.warn(`Regras de qualidade desconhecidas ignoradas: ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * Valida os registros de um snapshot
+   *
+   * As regras de posição e horário são avaliadas antes do cálculo de movimento,
+   * para que pontos inválidos não contaminem o reporte anterior de cada veículo;
+   * a regra `salto` é avaliada durante o cálculo, antes de o reporte ser guardado.
+   *
+   * @param {Array} registros - Registros normalizados
+   * @param {MotionTracker} motionTracker - Rastreador do movimento entre reportes
+   * @returns {Array} Registros mantidos (no modo `sinalizar`, todos)
+   */
+  validate(registros, motionTracker) {
+    if (!this.enabled) {
+      motionTracker.apply(registros);
+      return registros;
+    }
+
+    const now = Date.now();
+    const flags = new Map(); // Map<registro, Array<regra>>
+
+    const flag = (bus, rule) => {
+      if (!flags.has(bus)) {
+        flags.set(bus, []);
+      }
+      flags.get(bus).push(rule);
+    };
+
+    for (const bus of registros) {
+      for (const rule of this.checkRecord(bus, now)) {
+        flag(bus, rule);
+      }
+    }
+
+    // Entre os reportes válidos de um mesmo veículo, apenas o mais recente é mantido
+    if (this.rules.has('duplicado')) {
+      const latest = new Map(); // Map<ordem, registro>
+      for (const bus of registros) {
+        if (flags.has(bus)) {
+          continue;
+        }
+        const kept = latest.get(bus.ordem);
+        if (!kept) {
+          latest.set(bus.ordem, bus);
+        } else if (Date.parse(bus.dataHora) > Date.parse(kept.dataHora)) {
+          flag(kept, 'duplicado');
+          latest.set(bus.ordem, bus);
+        } else {
+          flag(bus, 'duplicado');
+        }
+      }
+    }
+
+    // Movimento calculado apenas a partir de pontos válidos; um salto não passa a ser
+    // o reporte anterior do veículo, senão o próximo reporte correto também pareceria um salto
+    const trackable = registros.filter(bus => !flags.has(bus));
+    const jumps = motionTracker.apply(trackable, bus => !this.isJump(bus));
+    for (const bus of flags.keys()) {
+      Object.assign(bus, { rumo: null, velocidadeCalculada: null, distanciaPercorrida: null });
+    }
+    for (const bus of jumps) {
+      flag(bus, 'salto');
+    }
+
+    this.record(registros, flags, now);
+
+    if (this.mode === 'sinalizar') {
+      for (const bus of registros) {
+        bus.qualidade = flags.get(bus) || [];
+      }
+      return registros;
+    }
+
+    return registros.filter(bus => !flags.has(bus));
+  }
+
+  /**
+   * Verifica se o deslocamento desde o reporte anterior é impossível (regra `salto`)
+   * @param {Object} bus - Registro com o movimento calculado
+   * @returns {boolean} Salto
+   */
+  isJump(bus) {
+    return this.rules.has('salto') &&
+      bus.velocidadeCalculada > this.maxSpeedKmh &&
+      bus.distanciaPercorrida >= this.minJumpKm;
+  }
+
+  /**
+   * Avalia as regras que dependem apenas do próprio registro
+   * @param {Object} bus - Registro normalizado
+   * @param {number} now - Horário atual (ms)
+   * @returns {Array<string>} Regras violadas
+   */
+  checkRecord(bus, now) {
+    const violated = [];
+    const { latitude, longitude } = bus;
+    const hasCoordinates = Number.isFinite(latitude) && Number.isFinite(longitude) && latitude !== 0 && longitude !== 0;
+
+    if (this.rules.has('coordenada_zero') && !hasCoordinates) {
+      violated.push('coordenada_zero');
+    }
+
+    if (this.rules.has('fora_da_area') && hasCoordinates) {
+      const [minLon, minLat, maxLon, maxLat] = this.bounds;
+      if (latitude < minLat || latitude > maxLat || longitude < minLon || longitude > maxLon) {
+        violated.push('fora_da_area');
+      }
+    }
+
+    const time = Date.parse(bus.dataHora);
+    if (this.rules.has('data_invalida') && Number.isNaN(time)) {
+      violated.push('data_invalida');
+    }
+    if (this.rules.has('data_futura') && time > now + this.futureToleranceMinutes * 60000) {
+      violated.push('data_futura');
+    }
+
+    return violated;
+  }
+
+  /**
+   * Guarda o resumo de um snapshot para o relatório
+   * @param {Array} registros - Registros avaliados
+   * @param {Map} flags - Regras violadas por registro
+   * @param {number} now - Horário da avaliação (ms)
+   */
+  record(registros, flags, now) {
+    const porRegra = {};
+    const veiculos = new Map(); // Map<ordem, { linha, regras }>
+
+    for (const [bus, rules] of flags) {
+      const ordem = bus.ordem || 'desconhecido';
+      if (!veiculos.has(ordem)) {
+        veiculos.set(ordem, { linha: bus.linha ?? null, regras: {} });
+      }
+      const vehicle = veiculos.get(ordem);
+
+      for (const rule of rules) {
+        porRegra[rule] = (porRegra[rule] || 0) + 1;
+        vehicle.regras[rule] = (vehicle.regras[rule] || 0) + 1;
+      }
+    }
+
+    this.summaries.push({ timestamp: now, total: registros.length, sinalizados: flags.size, porRegra, veiculos });
+    if (this.summaries.length > this.windowSnapshots) {
+      this.summaries.shift();
+    }
+
+    if (flags.size > 0) {
+      logger.warn(`Qualidade: ${flags.size} de ${registros.length} registros reprovados (${this.mode}) ${JSON.stringify(porRegra)}`);
+    }
+  }
+
+  /**
+   * Monta o relatório de qualidade da janela de snapshots
+   * @param {number} [limite=10] - Quantidade de veículos e linhas no ranking
+   * @returns {Object} Contagens por regra e piores veículos e linhas
+   */
+  getReport(limite = 10) {
+    const porRegra = Object.fromEntries([...this.rules].map(rule => [rule, 0]));
+    const veiculos = new Map();
+    const linhas = new Map();
+    let total = 0;
+    let sinalizados = 0;
+
+    for (const summary of this.summaries) {
+      total += summary.total;
+      sinalizados += summary.sinalizados;
+
+      for (const [rule, count] of Object.entries(summary.porRegra)) {
+        porRegra[rule] = (porRegra[rule] || 0) + count;
+      }
+
+      for (const [ordem, { linha, regras }] of summary.veiculos) {
+        const ocorrencias = Object.values(regras).reduce((sum, count) => sum + count, 0);
+
+        const vehicle = veiculos.get(ordem) || { ordem, linha, ocorrencias: 0, regras: {} };
+        vehicle.linha = linha ?? vehicle.linha;
+        vehicle.ocorrencias += ocorrencias;
+        for (const [rule, count] of Object.entries(regras)) {
+          vehicle.regras[rule] = (vehicle.regras[rule] || 0) + count;
+        }
+        veiculos.set(ordem, vehicle);
+
+        const linhaKey = linha ?? 'desconhecida';
+        const line = linhas.get(linhaKey) || { linha: linhaKey, ocorrencias: 0, ordens: new Set(), regras: {} };
+        line.ocorrencias += ocorrencias;
+        line.ordens.add(ordem);
+        for (const [rule, count] of Object.entries(regras)) {
+          line.regras[rule] = (line.regras[rule] || 0) + count;
+        }
+        linhas.set(linhaKey, line);
+      }
+    }
+
+    const byOccurrences = (a, b) => b.ocorrencias - a.ocorrencias;
+    const first = this.summaries[0];
+    const last = this.summaries[this.summaries.length - 1];
+
+    return {
+      ativo: this.enabled,
+      modo: this.mode,
+      regras: [...this.rules],
+      limites: {
+        area: this.bounds,
+        toleranciaFuturoMinutos: this.futureToleranceMinutes,
+        velocidadeMaximaKmh: this.maxSpeedKmh,
+        saltoMinimoKm: this.minJumpKm
+      },
+      janela: {
+        snapshots: this.summaries.length,
+        desde: first ? new Date(first.timestamp).toISOString() : null,
+        ate: last ? new Date(last.timestamp).toISOString() : null
+      },
+      registros: total,
+      sinalizados,
+      percentual: total > 0 ? parseFloat(((sinalizados / total) * 100).toFixed(2)) : 0,
+      porRegra,
+      ultimoSnapshot: last
+        ? { timestamp: new Date(last.timestamp).toISOString(), registros: last.total, sinalizados: last.sinalizados, porRegra: last.porRegra }
+        : null,
+      piores: {
+        veiculos: [...veiculos.values()].sort(byOccurrences).slice(0, limite),
+        linhas: [...linhas.values()]
+          .sort(byOccurrences)
+          .slice(0, limite)
+          .map(({ ordens, ...line }) => ({ ...line, veiculos: ordens.size }))
+      }
+    };
+  }
+}
+
+export default new QualityService(config.quality);
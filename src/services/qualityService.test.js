@@ -0,0 +1,148 @@
+import { describe, test, expect } from '@jest/globals';
+import { QualityService, QUALITY_RULES } from './qualityService.js';
+import { MotionTracker } from '../utils/motionTracker.js';
+
+const options = {
+  enabled: true,
+  mode: 'sinalizar',
+  rules: QUALITY_RULES,
+  bounds: [-43.85, -23.15, -43.05, -22.70],
+  futureToleranceMinutes: 5,
+  maxSpeedKmh: 120,
+  minJumpKm: 0.5,
+  windowSnapshots: 10
+};
+
+const NOW = Date.now();
+
+const report = (ordem, latitude, longitude, minutesAgo = 0, extra = {}) => ({
+  ordem,
+  linha: '232',
+  latitude,
+  longitude,
+  dataHora: new Date(NOW - minutesAgo * 60000).toISOString(),
+  ...extra
+});
+
+function validate(registros, overrides = {}, tracker = new MotionTracker()) {
+  const service = new QualityService({ ...options, ...overrides });
+  return { service, result: service.validate(registros, tracker) };
+}
+
+describe('QualityService', () => {
+  test.each([
+    ['coordenada_zero', report('A1', 0, -43.2)],
+    ['coordenada_zero', report('A1', NaN, NaN)],
+    ['fora_da_area', report('A1', -23.5, -43.2)],
+    ['fora_da_area', report('A1', -22.9, -42.0)],
+    ['data_invalida', report('A1', -22.9, -43.2, 0, { dataHora: 'ontem' })],
+    ['data_futura', report('A1', -22.9, -43.2, -10)]
+  ])('sinaliza %s', (rule, bus) => {
+    const { result } = validate([bus]);
+    expect(result[0].qualidade).toEqual([rule]);
+  });
+
+  test('aceita registros válidos e a tolerância para horários adiantados', () => {
+    const { result } = validate([report('A1', -22.9, -43.2), report('A2', -22.9, -43.2, -4)]);
+    expect(result.map(bus => bus.qualidade)).toEqual([[], []]);
+  });
+
+  test('sinaliza a repetição de ordem e dataHora no mesmo snapshot', () => {
+    const { result } = validate([report('A1', -22.9, -43.2, 1), report('A1', -22.9, -43.2, 1)]);
+    expect(result.map(bus => bus.qualidade)).toEqual([[], ['duplicado']]);
+  });
+
+  test('mantém apenas o reporte mais recente de cada ordem', () => {
+    const { result } = validate([
+      report('A1', -22.9, -43.2, 1),
+      report('A1', -22.9, -43.2, 3),
+      report('A2', -22.9, -43.2, 2),
+      report('A1', -22.9, -43.2, 2)
+    ]);
+    expect(result.map(bus => bus.qualidade)).toEqual([[], ['duplicado'], [], ['duplicado']]);
+  });
+
+  test('não descarta o reporte mais antigo quando o mais recente é reprovado', () => {
+    const { result } = validate([report('A1', -22.9, -43.2, 1), report('A1', -22.9, -43.2, -10)]);
+    expect(result.map(bus => bus.qualidade)).toEqual([[], ['data_futura']]);
+  });
+
+  test('não calcula movimento a partir de pontos reprovados', () => {
+    const tracker = new MotionTracker();
+    validate([report('A1', 0, 0, 2)], {}, tracker);
+
+    const { result } = validate([report('A1', -22.9, -43.2, 1)], {}, tracker);
+    expect(result[0].qualidade).toEqual([]);
+    expect(result[0].velocidadeCalculada).toBeNull();
+  });
+
+  describe('salto', () => {
+    test('sinaliza deslocamento impossível desde o reporte anterior', () => {
+      const tracker = new MotionTracker();
+      validate([report('A1', -22.9, -43.2, 2)], {}, tracker);
+
+      // ~11 km em 1 minuto
+      const { result } = validate([report('A1', -22.8, -43.2, 1)], {}, tracker);
+      expect(result[0].qualidade).toEqual(['salto']);
+      expect(result[0].velocidadeCalculada).toBeGreaterThan(120);
+    });
+
+    test('o ponto do salto não vira o reporte anterior do veículo', () => {
+      const tracker = new MotionTracker();
+      validate([report('A1', -22.9, -43.2, 3)], {}, tracker);
+      validate([report('A1', -22.8, -43.2, 2)], {}, tracker);
+
+      // De volta perto do último ponto válido: movimento normal, não outro salto
+      const { result } = validate([report('A1', -22.899, -43.2, 1)], {}, tracker);
+      expect(result[0].qualidade).toEqual([]);
+      expect(result[0].distanciaPercorrida).toBeCloseTo(0.111, 2);
+    });
+
+    test('também vale entre reportes do mesmo snapshot quando duplicado está desabilitado', () => {
+      const { result } = validate([
+        report('A1', -22.9, -43.2, 3),
+        report('A1', -22.8, -43.2, 2),
+        report('A1', -22.899, -43.2, 1)
+      ], { rules: QUALITY_RULES.filter(rule => rule !== 'duplicado') });
+      expect(result.map(bus => bus.qualidade)).toEqual([[], ['salto'], []]);
+    });
+
+    test('ignora deslocamentos curtos mesmo com velocidade alta', () => {
+      const tracker = new MotionTracker();
+      validate([report('A1', -22.9, -43.2, 0.1)], {}, tracker);
+
+      // ~220 m em 6 segundos (> 120 km/h), abaixo do salto mínimo de 0,5 km
+      const { result } = validate([report('A1', -22.898, -43.2, 0)], {}, tracker);
+      expect(result[0].velocidadeCalculada).toBeGreaterThan(120);
+      expect(result[0].qualidade).toEqual([]);
+    });
+  });
+
+  test('descarta os registros reprovados no modo descartar', () => {
+    const { result } = validate([report('A1', -22.9, -43.2), report('A2', 0, 0)], { mode: 'descartar' });
+    expect(result.map(bus => bus.ordem)).toEqual(['A1']);
+    expect(result[0].qualidade).toBeUndefined();
+  });
+
+  test('aplica apenas as regras habilitadas', () => {
+    const { result } = validate([report('A1', 0, 0), report('A2', -23.5, -43.2)], { rules: ['fora_da_area'] });
+    expect(result.map(bus => bus.qualidade)).toEqual([[], ['fora_da_area']]);
+  });
+
+  test('mantém todos os registros com a validação desligada', () => {
+    const { result } = validate([report('A1', 0, 0)], { enabled: false, mode: 'descartar' });
+    expect(result).toHaveLength(1);
+  });
+
+  test('resume as ocorrências no relatório', () => {
+    const service = new QualityService(options);
+    service.validate([report('A1', -22.9, -43.2), report('A2', 0, 0), report('A3', -23.5, -43.2)], new MotionTracker());
+    service.validate([report('A2', 0, 0, 1)], new MotionTracker());
+
+    const summary = service.getReport(1);
+    expect(summary).toMatchObject({ registros: 4, sinalizados: 3, percentual: 75 });
+    expect(summary.porRegra).toMatchObject({ coordenada_zero: 2, fora_da_area: 1, salto: 0 });
+    expect(summary.piores.veiculos).toEqual([{ ordem: 'A2', linha: '232', ocorrencias: 2, regras: { coordenada_zero: 2 } }]);
+    expect(summary.piores.linhas[0]).toMatchObject({ linha: '232', ocorrencias: 3, veiculos: 2 });
+  });
+});
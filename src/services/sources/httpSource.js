@@ -0,0 +1,93 @@
+import axios from 'axios';
+import https from 'https';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+/**
+ * Fonte de dados ao vivo: API HTTP de GPS do SPPO
+ */
+export class HttpSource {
+  /**
+   * @param {Object} options - Opções da fonte
+   * @param {string} options.apiUrl - URL da API SPPO
+   * @param {number} options.timeout - Timeout das requisições em ms
+   */
+  constructor({ apiUrl, timeout = 30000 }) {
+    this.name = 'http';
+    this.apiUrl = apiUrl;
+
+    // Configuração otimizada do axios
+    this.axiosInstance = axios.create({
+      httpsAgent: new https.Agent({
+        rejectUnauthorized: false,
+        keepAlive: true,
+        timeout
+      }),
+      timeout,
+      headers: {
+        'Accept': 'application/json',
+        'Accept-Encoding': 'gzip, deflate',
+        'User-Agent': 'SMTR-Rio-API/2.0.0'
+      }
+    });
+
+    // OTIMIZAÇÃO CRÍTICA: Interceptors condicionais (apenas em desenvolvimento)
+    const isDevelopment = process.env.NODE_ENV !== 'production';
+
+    if (isDevelopment) {
+      this.axiosInstance.interceptors.request.use(
+        (config) => {
+          logger.info(`Requisição para API SPPO: ${config.url}`);
+          return config;
+        },
+        (error) => {
+          logger.error('Erro na requisição para API SPPO:', error);
+          return Promise.reject(error);
+        }
+      );
+
+      this.axiosInstance.interceptors.response.use(
+        (response) => {
+          logger.info(`Resposta da API SPPO: ${response.status} - ${response.data.length} ônibus`);
+          return response;
+        },
+        (error) => {
+          logger.error('Erro na resposta da API SPPO:', error);
+          return Promise.reject(error);
+        }
+      );
+    }
+  }
+
+  /**
+   * Busca os registros brutos de GPS na API SPPO
+   * @returns {Promise<Array>} Registros no formato original da API
+   */
+  async fetch() {
+    const response = await this.axiosInstance.get(this.apiUrl);
+    return response.data;
+  }
+
+  /**
+   * Descreve a fonte para relatórios de status
+   * @returns {Object} Descrição da fonte
+   */
+  describe() {
+    return {
+      tipo: this.name,
+      url: this.apiUrl
+    };
+  }
+}
+
+export default HttpSource;
@@ -0,0 +1,27 @@
+import HttpSource from './httpSource.js';
+import ReplaySource from './replaySource.js';
+import SyntheticSource from './syntheticSource.js';
+
+/**
+ * Cria a fonte de dados SPPO configurada
+ *
+ * Toda fonte expõe `name`, `fetch()` (registros no formato bruto da API SPPO)
+ * e `describe()`.
+ *
+ * @param {Object} sppoConfig - Seção `sppo` da configuração da aplicação
+ * @returns {HttpSource|ReplaySource|SyntheticSource} Fonte de dados
+ */
+export function createSource(sppoConfig) {
+  switch (sppoConfig.source) {
+  case 'http':
+    return new HttpSource(sppoConfig);
+  case 'replay':
+    return new ReplaySource(sppoConfig.replay);
+  case 'synthetic':
+    return new SyntheticSource(sppoConfig.synthetic);
+  default:
+    throw new Error(`Fonte de dados SPPO desconhecida: ${sppoConfig.source}`);
+  }
+}
+
+export { HttpSource, ReplaySource, SyntheticSource };
@@ -0,0 +1,208 @@
+import fs from 'fs/promises';
+import path from 'path';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+// Campos de timestamp (Unix em ms, como string) presentes nos registros da API SPPO
+const TIMESTAMP_FIELDS = ['datahora', 'datahoraenvio', 'datahoraservidor'];
+
+/**
+ * Fonte de dados de replay: reproduz snapshots JSON gravados da API SPPO
+ *
+ * Aceita um único arquivo (fixture estática) ou um diretório de arquivos .json,
+ * cada um contendo o array bruto retornado pela API. Os snapshots são ordenados
+ * pelo maior `datahora` de cada arquivo e reproduzidos em tempo real ou acelerado.
+ */
+export class ReplaySource {
+  /**
+   * @param {Object} options - Opções da fonte
+   * @param {string} options.path - Arquivo ou diretório com os snapshots gravados
+   * @param {number} options.speed - Fator de velocidade da reprodução (1 = tempo real)
+   * @param {boolean} options.loop - Reiniciar a reprodução ao chegar no último snapshot
+   * @param {boolean} options.shiftTimestamps - Deslocar os timestamps para o horário atual
+   */
+  constructor({ path: replayPath, speed = 1, loop = true, shiftTimestamps = true }) {
+    this.name = 'replay';
+    this.path = replayPath;
+    this.speed = speed > 0 ? speed : 1;
+    this.loop = loop;
+    this.shiftTimestamps = shiftTimestamps;
+
+    this.frames = null; // Array<{ file, time }>
+    this.loading = null;
+    this.startedAt = null;
+    this.currentFrame = null; // { file, records }
+  }
+
+  /**
+   * Indexa os snapshots disponíveis (apenas arquivo e horário, sem manter os registros em memória)
+   * @returns {Promise<Array>} Frames ordenados por horário
+   */
+  async load() {
+    if (this.frames) {
+      return this.frames;
+    }
+    if (!this.loading) {
+      this.loading = this.indexFrames().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  async indexFrames() {
+    const stats = await fs.stat(this.path);
+    const files = stats.isDirectory()
+      ? (await fs.readdir(this.path))
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => path.join(this.path, name))
+      : [this.path];
+
+    const frames = [];
+    for (const file of files) {
+      const records = await this.readFrame(file);
+      frames.push({ file, time: this.frameTime(records) });
+    }
+
+    if (frames.length === 0) {
+      throw new Error(`Nenhum snapshot encontrado para replay em ${this.path}`);
+    }
+
+    frames.sort((a, b) => a.time - b.time);
+    this.frames = frames;
+
+    logger.info(`Replay: ${frames.length} snapshots indexados de ${this.path}`);
+    return frames;
+  }
+
+  /**
+   * Lê e valida um arquivo de snapshot
+   * @param {string} file - Caminho do arquivo
+   * @returns {Promise<Array>} Registros brutos
+   */
+  async readFrame(file) {
+    const content = await fs.readFile(file, 'utf8');
+    const records = JSON.parse(content);
+
+    if (!Array.isArray(records)) {
+      throw new Error(`Snapshot inválido para replay (esperado um array): ${file}`);
+    }
+    return records;
+  }
+
+  /**
+   * Horário de referência de um snapshot: o registro mais recente
+   * @param {Array} records - Registros brutos
+   * @returns {number} Timestamp em ms
+   */
+  frameTime(records) {
+    let max = 0;
+    for (const record of records) {
+      const time = parseInt(record.datahora);
+      if (time > max) {
+        max = time;
+      }
+    }
+    return max;
+  }
+
+  /**
+   * Calcula o horário virtual da reprodução a partir do tempo decorrido
+   * @returns {number} Timestamp virtual em ms
+   */
+  virtualTime() {
+    const first = this.frames[0].time;
+    const last = this.frames[this.frames.length - 1].time;
+    const span = last - first;
+    const elapsed = (Date.now() - this.startedAt) * this.speed;
+
+    if (span === 0) {
+      return first;
+    }
+    if (!this.loop) {
+      return first + Math.min(elapsed, span);
+    }
+
+    // No loop, o último snapshot permanece visível por um intervalo médio antes de reiniciar
+    const cycle = span + span / (this.frames.length - 1);
+    return first + Math.min(elapsed % cycle, span);
+  }
+
+  /**
+   * Retorna o snapshot correspondente ao momento atual da reprodução
+   * @returns {Promise<Array>} Registros no formato original da API
+   */
+  async fetch() {
+    const frames = await this.load();
+
+    if (!this.startedAt) {
+      this.startedAt = Date.now();
+    }
+
+    const virtualNow = this.virtualTime();
+    let frame = frames[0];
+    for (const candidate of frames) {
+      if (candidate.time > virtualNow) {
+        break;
+      }
+      frame = candidate;
+    }
+
+    if (!this.currentFrame || this.currentFrame.file !== frame.file) {
+      this.currentFrame = { file: frame.file, records: await this.readFrame(frame.file) };
+      logger.info(`Replay: reproduzindo ${path.basename(frame.file)} (${new Date(frame.time).toISOString()})`);
+    }
+
+    if (!this.shiftTimestamps) {
+      return this.currentFrame.records;
+    }
+
+    const offset = Date.now() - virtualNow;
+    return this.currentFrame.records.map(record => this.shiftRecord(record, offset));
+  }
+
+  /**
+   * Desloca os timestamps de um registro para que o replay pareça atual
+   * @param {Object} record - Registro bruto
+   * @param {number} offset - Deslocamento em ms
+   * @returns {Object} Registro com timestamps deslocados
+   */
+  shiftRecord(record, offset) {
+    const shifted = { ...record };
+    for (const field of TIMESTAMP_FIELDS) {
+      const value = parseInt(record[field]);
+      if (!Number.isNaN(value)) {
+        shifted[field] = String(value + offset);
+      }
+    }
+    return shifted;
+  }
+
+  /**
+   * Descreve a fonte para relatórios de status
+   * @returns {Object} Descrição da fonte
+   */
+  describe() {
+    return {
+      tipo: this.name,
+      path: this.path,
+      speed: this.speed,
+      loop: this.loop,
+      snapshots: this.frames?.length || 0,
+      snapshotAtual: this.currentFrame ? path.basename(this.currentFrame.file) : null
+    };
+  }
+}
+
+export default ReplaySource;
@@ -0,0 +1,77 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { createSource, HttpSource, ReplaySource, SyntheticSource } from './index.js';
+
+describe('createSource', () => {
+  test('cria a fonte configurada', () => {
+    expect(createSource({ source: 'synthetic', synthetic: { vehicles: 3, lines: 1, seed: 1 } })).toBeInstanceOf(SyntheticSource);
+    expect(createSource({ source: 'replay', replay: { path: 'data/replay' } })).toBeInstanceOf(ReplaySource);
+    expect(createSource({ source: 'http', apiUrl: 'http://localhost', timeout: 1000 })).toBeInstanceOf(HttpSource);
+  });
+
+  test('rejeita fonte desconhecida', () => {
+    expect(() => createSource({ source: 'ftp' })).toThrow('Fonte de dados SPPO desconhecida: ftp');
+  });
+});
+
+describe('SyntheticSource', () => {
+  test('a mesma semente produz a mesma frota', async () => {
+    const a = await new SyntheticSource({ vehicles: 20, lines: 4, seed: 7 }).fetch();
+    const b = await new SyntheticSource({ vehicles: 20, lines: 4, seed: 7 }).fetch();
+    const c = await new SyntheticSource({ vehicles: 20, lines: 4, seed: 8 }).fetch();
+
+    const identity = records => records.map(({ ordem, linha }) => `${ordem}:${linha}`);
+    expect(a).toHaveLength(20);
+    expect(identity(a)).toEqual(identity(b));
+    expect(identity(a)).not.toEqual(identity(c));
+  });
+
+  test('gera registros no formato bruto da API SPPO', async () => {
+    const [record] = await new SyntheticSource({ vehicles: 1, lines: 1, seed: 42 }).fetch();
+
+    expect(record.latitude).toMatch(/^-\d+,\d{5}$/);
+    expect(record.longitude).toMatch(/^-\d+,\d{5}$/);
+    expect(parseInt(record.datahoraenvio)).toBe(parseInt(record.datahora) + 1000);
+    expect(new Set(Object.keys(record))).toEqual(new Set([
+      'ordem', 'latitude', 'longitude', 'datahora', 'velocidade', 'linha', 'datahoraenvio', 'datahoraservidor'
+    ]));
+  });
+});
+
+describe('ReplaySource', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'replay-'));
+    // Nomes fora da ordem cronológica: os frames são ordenados pelo datahora
+    await fs.writeFile(path.join(dir, 'a.json'), JSON.stringify([{ ordem: 'A1', datahora: '2000' }]));
+    await fs.writeFile(path.join(dir, 'b.json'), JSON.stringify([{ ordem: 'A1', datahora: '1000' }, { ordem: 'B1', datahora: '500' }]));
+    await fs.writeFile(path.join(dir, 'ignorado.txt'), 'x');
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('indexa os snapshots pelo registro mais recente', async () => {
+    const source = new ReplaySource({ path: dir });
+    const frames = await source.load();
+
+    expect(frames.map(frame => [path.basename(frame.file), frame.time])).toEqual([['b.json', 1000], ['a.json', 2000]]);
+  });
+
+  test('reproduz o primeiro snapshot sem deslocar os timestamps', async () => {
+    const source = new ReplaySource({ path: dir, shiftTimestamps: false });
+
+    expect(await source.fetch()).toEqual([{ ordem: 'A1', datahora: '1000' }, { ordem: 'B1', datahora: '500' }]);
+  });
+
+  test('desloca apenas os campos de timestamp válidos', () => {
+    const source = new ReplaySource({ path: dir });
+    const shifted = source.shiftRecord({ ordem: 'A1', datahora: '1000', datahoraenvio: '', velocidade: '10' }, 500);
+
+    expect(shifted).toEqual({ ordem: 'A1', datahora: '1500', datahoraenvio: '', velocidade: '10' });
+  });
+});
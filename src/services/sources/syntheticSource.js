@@ -0,0 +1,145 @@
+// Área aproximada do município do Rio de Janeiro usada para gerar as rotas
+const RIO_BOUNDS = {
+  minLat: -23.02,
+  maxLat: -22.80,
+  minLon: -43.65,
+  maxLon: -43.17
+};
+
+/**
+ * Gerador pseudoaleatório determinístico (mulberry32)
+ * @param {number} seed - Semente
+ * @returns {Function} Função que retorna números em [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Formata coordenada no padrão da API SPPO (vírgula decimal)
+ * @param {number} value - Coordenada
+ * @returns {string} Coordenada formatada
+ */
+function formatCoordinate(value) {
+  return value.toFixed(5).replace('.', ',');
+}
+
+/**
+ * Fonte de dados sintética: gera uma frota fictícia em movimento
+ *
+ * Cada linha recebe uma rota retilínea dentro do município e os veículos
+ * percorrem essa rota em vai-e-vem, com posição calculada a partir do relógio.
+ * A mesma semente sempre produz a mesma frota.
+ */
+export class SyntheticSource {
+  /**
+   * @param {Object} options - Opções da fonte
+   * @param {number} options.vehicles - Quantidade de veículos
+   * @param {number} options.lines - Quantidade de linhas
+   * @param {number} options.seed - Semente do gerador
+   */
+  constructor({ vehicles = 500, lines = 40, seed = 42 }) {
+    this.name = 'synthetic';
+    this.vehicleCount = vehicles;
+    this.lineCount = lines;
+    this.seed = seed;
+    this.fleet = this.buildFleet();
+  }
+
+  /**
+   * Monta linhas, rotas e veículos a partir da semente
+   * @returns {Array} Veículos sintéticos
+   */
+  buildFleet() {
+    const random = createRandom(this.seed);
+    const between = (min, max) => min + random() * (max - min);
+
+    const routes = [];
+    const codes = new Set();
+    while (routes.length < this.lineCount) {
+      const code = String(100 + Math.floor(random() * 900));
+      if (codes.has(code)) {
+        continue;
+      }
+      codes.add(code);
+
+      const from = { lat: between(RIO_BOUNDS.minLat, RIO_BOUNDS.maxLat), lon: between(RIO_BOUNDS.minLon, RIO_BOUNDS.maxLon) };
+      const to = { lat: between(RIO_BOUNDS.minLat, RIO_BOUNDS.maxLat), lon: between(RIO_BOUNDS.minLon, RIO_BOUNDS.maxLon) };
+      const lengthKm = Math.hypot((to.lat - from.lat) * 111.32, (to.lon - from.lon) * 111.32 * Math.cos(from.lat * Math.PI / 180));
+
+      routes.push({ linha: code, from, to, lengthKm: Math.max(lengthKm, 1) });
+    }
+
+    const fleet = [];
+    for (let i = 0; i < this.vehicleCount; i++) {
+      const route = routes[i % routes.length];
+      fleet.push({
+        ordem: `${String.fromCharCode(65 + (i % 26))}${String(10000 + i)}`,
+        route,
+        speedKmh: between(12, 45),
+        phaseKm: random() * route.lengthKm * 2,
+        parked: random() < 0.08,
+        reportLagMs: Math.floor(random() * 60000)
+      });
+    }
+    return fleet;
+  }
+
+  /**
+   * Gera o snapshot atual da frota sintética
+   * @returns {Promise<Array>} Registros no formato original da API
+   */
+  async fetch() {
+    const now = Date.now();
+
+    return this.fleet.map(vehicle => {
+      const { route } = vehicle;
+      const reportTime = now - vehicle.reportLagMs;
+      const hours = reportTime / 3600000;
+      const speed = vehicle.parked ? 0 : vehicle.speedKmh;
+
+      // Posição em vai-e-vem ao longo da rota
+      const cycle = route.lengthKm * 2;
+      const traveled = (vehicle.phaseKm + (vehicle.parked ? 0 : speed * hours)) % cycle;
+      const fraction = traveled <= route.lengthKm
+        ? traveled / route.lengthKm
+        : (cycle - traveled) / route.lengthKm;
+
+      const latitude = route.from.lat + (route.to.lat - route.from.lat) * fraction;
+      const longitude = route.from.lon + (route.to.lon - route.from.lon) * fraction;
+
+      return {
+        ordem: vehicle.ordem,
+        latitude: formatCoordinate(latitude),
+        longitude: formatCoordinate(longitude),
+        datahora: String(reportTime),
+        velocidade: String(Math.round(speed)),
+        linha: route.linha,
+        datahoraenvio: String(reportTime + 1000),
+        datahoraservidor: String(reportTime + 2000)
+      };
+    });
+  }
+
+  /**
+   * Descreve a fonte para relatórios de status
+   * @returns {Object} Descrição da fonte
+   */
+  describe() {
+    return {
+      tipo: this.name,
+      veiculos: this.vehicleCount,
+      linhas: this.lineCount,
+      seed: this.seed
+    };
+  }
+}
+
+export default SyntheticSource;
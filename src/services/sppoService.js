@@ -1,7 +1,19 @@
-import axios from 'axios';
-import https from 'https';
+import { AsyncLocalStorage } from 'async_hooks';
+import { EventEmitter } from 'events';
 import winston from 'winston';
 import cacheService from './cacheService.js';
+import qualityService from './qualityService.js';
+import { config } from '../config/app.js';
+import { createSource } from './sources/index.js';
+import { retryWithBackoff } from '../utils/retry.js';
+import { CircuitBreaker, CircuitOpenError, CircuitState } from '../utils/circuitBreaker.js';
+import { SpatialGrid } from '../utils/spatialIndex.js';
+import { MotionTracker } from '../utils/motionTracker.js';
+import { ActivityClassifier, ACTIVITY_STATUSES, latestReportTime } from '../utils/activityClassifier.js';
+import { LastSeenTracker } from '../utils/lastSeenTracker.js';
+import { haversineKm, bearingDegrees, pointInGeometry, geometryBBox } from '../utils/geo.js';
+import { createBusFilter } from '../utils/busFilter.js';
+import { findBunches } from '../utils/bunching.js';
 
 const logger = winston.createLogger({
   level: 'info',
@@ -16,138 +28,323 @@ const logger = winston.createLogger({
 
 /**
  * Serviço modernizado para interagir com a API de GPS do SPPO
+ *
+ * Emite `snapshot` (snapshot, normalizados) a cada novo snapshot publicado,
+ * com todos os registros normalizados recebidos da fonte.
  */
-class SppoService {
+class SppoService extends EventEmitter {
   constructor() {
-    this.apiUrl = 'https://dados.mobilidade.rio/gps/sppo';
+    super();
+
+    // Fonte de dados plugável (API ao vivo, replay de snapshots ou gerador sintético)
+    this.source = createSource(config.sppo);
+
+    // Circuit breaker para não sobrecarregar o upstream quando ele estiver instável
+    this.breaker = new CircuitBreaker({
+      name: 'sppo',
+      failureThreshold: config.sppo.circuitBreaker.failureThreshold,
+      resetTimeout: config.sppo.circuitBreaker.resetTimeout,
+      onStateChange: (state, previousState) => {
+        logger.warn(`Circuito do upstream SPPO: ${previousState} → ${state}`);
+      }
+    });
     this.cacheKey = 'sppo_all_buses';
     this.lastFetchTime = null;
     this.fetchInterval = 300000; // 5 minutos em ms
+    this.backgroundRefresh = false; // true quando o poller está ativo
+    this.inFlightRefresh = null; // Promise da busca em andamento (single-flight)
+    this.requestContext = new AsyncLocalStorage(); // Snapshot servido a cada requisição em andamento
     
     // OTIMIZAÇÃO CRÍTICA: Índices para lookup O(1)
     this.lineIndex = new Map(); // Map<linha, Array<bus>>
+    this.spatialIndex = new SpatialGrid(config.sppo.gridCellSize); // Grade para consultas por proximidade
+    this.lineCatalog = new Map(); // Catálogo de linhas por filtro de estado, recalculado uma vez por snapshot
+    this.motionTracker = new MotionTracker(); // Último reporte de cada veículo, para rumo e velocidade calculada
+    this.activityClassifier = new ActivityClassifier(config.activity); // em_movimento, parado, garagem, sem_sinal
+    this.lastSeen = new LastSeenTracker({ retentionHours: config.activity.trackingRetentionHours }); // Inclui veículos que sumiram do feed
+    this.reportReference = null; // "Agora" da idade dos reportes no último snapshot (ms): relógio, ou o reporte mais recente em replays não deslocados
     this.lastIndexUpdate = null;
-    
-    // Configuração otimizada do axios
-    this.axiosInstance = axios.create({
-      httpsAgent: new https.Agent({  
-        rejectUnauthorized: false,
-        keepAlive: true,
-        timeout: 30000 // 30 segundos de timeout
-      }),
-      timeout: 30000,
-      headers: {
-        'Accept': 'application/json',
-        'Accept-Encoding': 'gzip, deflate',
-        'User-Agent': 'SMTR-Rio-API/2.0.0'
-      }
-    });
-
-    // OTIMIZAÇÃO CRÍTICA: Interceptors condicionais (apenas em desenvolvimento)
-    const isDevelopment = process.env.NODE_ENV !== 'production';
-    
-    if (isDevelopment) {
-      this.axiosInstance.interceptors.request.use(
-        (config) => {
-          logger.info(`Requisição para API SPPO: ${config.url}`);
-          return config;
-        },
-        (error) => {
-          logger.error('Erro na requisição para API SPPO:', error);
-          return Promise.reject(error);
-        }
-      );
-
-      this.axiosInstance.interceptors.response.use(
-        (response) => {
-          logger.info(`Resposta da API SPPO: ${response.status} - ${response.data.length} ônibus`);
-          return response;
-        },
-        (error) => {
-          logger.error('Erro na resposta da API SPPO:', error);
-          return Promise.reject(error);
-        }
-      );
-    }
   }
 
   /**
-   * Busca todos os dados de GPS dos ônibus EM ROTA com cache inteligente
-   * @returns {Promise<Array>} Lista de ônibus em rota com suas posições
+   * Busca todos os dados de GPS dos ônibus a partir do snapshot atual
+   * @returns {Promise<Array>} Lista de ônibus com suas posições e o estado de atividade (`status`)
    */
   async getAllBusData() {
+    const snapshot = await this.getCurrentSnapshot();
+    return snapshot.buses;
+  }
+
+  /**
+   * Obtém o snapshot atual publicado no cache
+   *
+   * Com o poller ativo, as requisições apenas leem o snapshot publicado; a busca
+   * na fonte só acontece aqui quando ainda não existe nenhum snapshot (início do
+   * servidor) ou quando a atualização em segundo plano está desligada.
+   *
+   * @returns {Promise<Object>} Snapshot { id, fetchedAt, fonte, totalRecebidos, buses }
+   */
+  async getCurrentSnapshot() {
     try {
       // Verificar cache primeiro
-      const cachedData = cacheService.getGeneral(this.cacheKey);
-      if (cachedData) {
+      const cachedSnapshot = cacheService.getGeneral(this.cacheKey);
+      if (cachedSnapshot) {
         logger.info('Retornando dados do cache');
-        return cachedData;
+        return this.markServed(cachedSnapshot);
+      }
+
+      const staleSnapshot = cacheService.getGeneral(`${this.cacheKey}_stale`);
+
+      // O poller é o responsável por atualizar os dados: servir o snapshot antigo até a próxima publicação
+      if (this.backgroundRefresh && staleSnapshot) {
+        logger.info('Aguardando atualização do poller, retornando dados antigos do cache');
+        return this.markServed(staleSnapshot, { stale: true });
       }
 
       // Verificar se é necessário fazer nova requisição
       const now = Date.now();
-      if (this.lastFetchTime && (now - this.lastFetchTime) < this.fetchInterval) {
+      if (this.lastFetchTime && (now - this.lastFetchTime) < this.fetchInterval && staleSnapshot) {
         logger.info('Aguardando intervalo entre requisições');
         // Retornar dados mais antigos do cache se disponível
-        const staleData = cacheService.getGeneral(`${this.cacheKey}_stale`);
-        if (staleData) {
-          return staleData;
-        }
+        return this.markServed(staleSnapshot, { stale: true });
       }
 
-      logger.info('Buscando novos dados da API SPPO');
-      const response = await this.axiosInstance.get(this.apiUrl);
-      
-      if (!response.data || !Array.isArray(response.data)) {
-        throw new Error('Dados inválidos recebidos da API');
-      }
-
-      // OTIMIZAÇÃO CRÍTICA: Unificar normalização + filtro em loop único (3N → 1N)
-      const agora = new Date();
-      const activeBuses = [];
-      
-      for (const bus of response.data) {
-        // Normalizar dados
-        const normalized = this.normalizeBusData(bus);
-        
-        // Filtrar veículos em rota
-        const dataHoraBus = new Date(normalized.dataHora);
-        const diferencaMinutos = (agora - dataHoraBus) / (1000 * 60);
-        
-        const emMovimento = parseFloat(normalized.velocidade) > 0;
-        const dadosRecentes = diferencaMinutos <= 5; // Últimos 5 minutos
-        
-        if (emMovimento || dadosRecentes) {
-          activeBuses.push(normalized);
-        }
-      }
-      
-      // Armazenar no cache
-      cacheService.setGeneral(this.cacheKey, activeBuses, 300); // 5 minutos
-      cacheService.setGeneral(`${this.cacheKey}_stale`, activeBuses, 1800); // 30 minutos
-      
-      this.lastFetchTime = now;
-      
-      // OTIMIZAÇÃO CRÍTICA: Atualizar índices para lookup O(1)
-      this.updateLineIndex(activeBuses);
-      
-      logger.info(`Dados normalizados e armazenados no cache: ${activeBuses.length} ônibus EM ROTA (de ${response.data.length} total)`);
-      return activeBuses;
+      // A requisição aguardou a busca na fonte (iniciada por ela ou compartilhada via single-flight)
+      return this.markServed(await this.refresh(), { fetched: true });
       
     } catch (error) {
       logger.error('Erro ao buscar dados da API SPPO:', error);
       
       // Tentar retornar dados do cache em caso de erro
-      const staleData = cacheService.getGeneral(`${this.cacheKey}_stale`);
-      if (staleData) {
+      const staleSnapshot = cacheService.getGeneral(`${this.cacheKey}_stale`);
+      if (staleSnapshot) {
         logger.info('Retornando dados antigos do cache devido ao erro');
-        return staleData;
+        return this.markServed(staleSnapshot, { stale: true });
       }
       
-      throw new Error('Falha ao obter dados de GPS dos ônibus');
+      const unavailable = new Error('Falha ao obter dados de GPS dos ônibus');
+      unavailable.statusCode = 503;
+      throw unavailable;
     }
   }
 
+  /**
+   * Executa o processamento de uma requisição registrando o snapshot servido a ela
+   * @param {Object} context - Contexto da requisição; recebe `served` a cada snapshot entregue
+   * @param {Function} fn - Continuação da requisição
+   * @returns {*} Retorno de `fn`
+   */
+  runWithRequestContext(context, fn) {
+    return this.requestContext.run(context, fn);
+  }
+
+  /**
+   * Registra no contexto da requisição em andamento (se houver) o snapshot entregue a ela
+   * @param {Object} snapshot - Snapshot servido
+   * @param {Object} [origin] - Como o snapshot foi obtido
+   * @param {boolean} [origin.stale=false] - Snapshot expirado (cópia antiga do cache)
+   * @param {boolean} [origin.fetched=false] - Buscado na fonte durante a requisição
+   * @returns {Object} O próprio snapshot
+   */
+  markServed(snapshot, { stale = false, fetched = false } = {}) {
+    const context = this.requestContext.getStore();
+    if (context) {
+      context.served = { snapshot, stale, fetched };
+    }
+    return snapshot;
+  }
+
+  /**
+   * Busca novos dados na fonte, normaliza e publica um novo snapshot
+   *
+   * Chamadas concorrentes (poller e requisições) compartilham a mesma busca em
+   * andamento: uma única requisição ao upstream e uma única normalização.
+   *
+   * @returns {Promise<Object>} Snapshot publicado
+   */
+  refresh() {
+    if (this.inFlightRefresh) {
+      logger.info('Aguardando busca em andamento na fonte SPPO');
+      return this.inFlightRefresh;
+    }
+
+    this.inFlightRefresh = this.fetchAndPublish().finally(() => {
+      this.inFlightRefresh = null;
+    });
+    return this.inFlightRefresh;
+  }
+
+  /**
+   * Executa a busca na fonte, a normalização e a publicação do snapshot
+   * @returns {Promise<Object>} Snapshot publicado
+   */
+  async fetchAndPublish() {
+    logger.info(`Buscando novos dados da fonte SPPO (${this.source.name})`);
+    const registros = await this.fetchFromSource();
+    
+    if (!registros || !Array.isArray(registros)) {
+      throw new Error('Dados inválidos recebidos da API');
+    }
+
+    const normalizados = registros.map(bus => this.normalizeBusData(bus));
+
+    // Regras de qualidade; rumo, velocidade calculada e distância percorrida desde o reporte anterior de cada veículo
+    const validos = qualityService.validate(normalizados, this.motionTracker);
+
+    // Estado de atividade de cada veículo; os filtros por estado ficam a cargo das consultas.
+    // A idade dos reportes é medida pelo relógio, para que um feed congelado fique sem sinal;
+    // só um replay com os horários originais usa o reporte mais recente como referência
+    const replayTime = this.source.name === 'replay' && !this.source.shiftTimestamps;
+    this.reportReference = replayTime ? latestReportTime(validos) : Date.now();
+    this.activityClassifier.apply(validos, this.reportReference);
+
+    const snapshot = this.publishSnapshot(validos, registros.length);
+    this.lastSeen.update(validos, snapshot.fetchedAt);
+
+    const porStatus = this.countByStatus(validos);
+    logger.info(`Dados normalizados e armazenados no cache: ${validos.length} ônibus (de ${registros.length} total) ${JSON.stringify(porStatus)}`);
+
+    // Consumidores (histórico, streams) recebem o snapshot depois de publicado
+    this.emit('snapshot', snapshot, validos);
+    return snapshot;
+  }
+
+  /**
+   * Busca os registros na fonte com retry (backoff exponencial + jitter) protegido pelo circuit breaker
+   * @returns {Promise<Array>} Registros brutos da fonte
+   */
+  async fetchFromSource() {
+    return retryWithBackoff(
+      () => this.breaker.execute(() => this.source.fetch()),
+      {
+        attempts: config.sppo.retryAttempts,
+        baseDelay: config.sppo.retryBaseDelay,
+        maxDelay: config.sppo.retryMaxDelay,
+        // Não insistir com o circuito aberto nem em erros do cliente (4xx)
+        shouldRetry: (error) => {
+          const status = error.response?.status;
+          return !(error instanceof CircuitOpenError) && !(status >= 400 && status < 500);
+        },
+        onRetry: (error, attempt, delay) => {
+          logger.warn(`Falha na tentativa ${attempt} de buscar dados SPPO (${error.message}), nova tentativa em ${delay}ms`);
+        }
+      }
+    );
+  }
+
+  /**
+   * Obtém o estado do upstream (circuit breaker)
+   * @returns {Object} Estado do upstream
+   */
+  getUpstreamStatus() {
+    const circuito = this.breaker.getState();
+    return {
+      disponivel: circuito.estado !== CircuitState.OPEN,
+      circuito
+    };
+  }
+
+  /**
+   * Publica um snapshot de forma atômica: uma única chave no cache e índices trocados de uma vez
+   * @param {Array} buses - Ônibus normalizados e classificados
+   * @param {number} totalRecebidos - Quantidade de registros recebidos da fonte
+   * @returns {Object} Snapshot publicado
+   */
+  publishSnapshot(buses, totalRecebidos) {
+    const fetchedAt = Date.now();
+    const snapshot = {
+      id: String(fetchedAt),
+      fetchedAt,
+      fonte: this.source.name,
+      totalRecebidos,
+      buses
+    };
+
+    // OTIMIZAÇÃO CRÍTICA: Atualizar índices para lookup O(1)
+    this.updateLineIndex(buses);
+    this.updateSpatialIndex(buses);
+
+    // Armazenar no cache
+    cacheService.setGeneral(this.cacheKey, snapshot, 300); // 5 minutos
+    cacheService.setGeneral(`${this.cacheKey}_stale`, snapshot, 1800); // 30 minutos
+
+    // Resultados por linha/posição foram calculados sobre o snapshot anterior
+    cacheService.clearDerived();
+
+    this.lastFetchTime = fetchedAt;
+    return snapshot;
+  }
+
+  /**
+   * Informa se os dados são atualizados em segundo plano (poller ativo)
+   * @param {boolean} enabled - Poller ativo
+   */
+  setBackgroundRefresh(enabled) {
+    this.backgroundRefresh = enabled;
+  }
+
+  /**
+   * Obtém informações do snapshot atual sem disparar busca na fonte
+   * @param {Object} [served] - Snapshot já servido à requisição (padrão: o snapshot do cache)
+   * @returns {Object|null} Informações do snapshot ou null se não houver dados
+   */
+  getSnapshotInfo(served) {
+    const snapshot = served || cacheService.getGeneral(this.cacheKey) || cacheService.getGeneral(`${this.cacheKey}_stale`);
+    if (!snapshot) {
+      return null;
+    }
+
+    // Fora da chave principal, o snapshot é o antigo (já expirado)
+    const expiresAt = cacheService.getGeneral(this.cacheKey)?.id === snapshot.id
+      ? cacheService.getGeneralExpiration(this.cacheKey)
+      : null;
+
+    return {
+      id: snapshot.id,
+      fetchedAt: new Date(snapshot.fetchedAt).toISOString(),
+      expiraEm: expiresAt ? new Date(expiresAt).toISOString() : null,
+      fonte: snapshot.fonte,
+      totalRecebidos: snapshot.totalRecebidos,
+      veiculos: snapshot.buses.length
+    };
+  }
+
+  /**
+   * Descreve a procedência e a idade do snapshot servido em uma requisição
+   * @param {Object|null} served - Snapshot servido e como foi obtido (`markServed`: { snapshot, stale, fetched });
+   *   sem ele (requisição que não leu o snapshot) vale o snapshot atual do cache
+   * @returns {Object|null} { source, fetchedAt, dataAgeSeconds, stale } ou null se não houver dados;
+   *   `source` é `stale` (snapshot expirado, servido após falha ou à espera do poller),
+   *   `replay`/`synthetic` (fonte não ao vivo), `live` (buscado na fonte durante a requisição) ou `cache`
+   */
+  getFreshness(served) {
+    const cached = cacheService.getGeneral(this.cacheKey);
+    const { snapshot: current, stale, fetched } = served || {
+      snapshot: cached || cacheService.getGeneral(`${this.cacheKey}_stale`),
+      stale: !cached,
+      fetched: false
+    };
+    if (!current) {
+      return null;
+    }
+
+    let source;
+    if (stale) {
+      source = 'stale';
+    } else if (current.fonte !== 'http') {
+      source = current.fonte;
+    } else {
+      source = fetched ? 'live' : 'cache';
+    }
+
+    return {
+      source,
+      fetchedAt: new Date(current.fetchedAt).toISOString(),
+      dataAgeSeconds: Math.max(0, Math.round((Date.now() - current.fetchedAt) / 1000)),
+      stale
+    };
+  }
+
   /**
    * Normaliza os dados de um ônibus para formato compatível com o frontend
    * @param {Object} bus - Dados do ônibus da API
@@ -175,17 +372,17 @@ class SppoService {
   }
 
   /**
-   * Filtra os ônibus por linha com cache otimizado - APENAS VEÍCULOS EM ROTA
+   * Filtra os ônibus por linha com cache otimizado
    * @param {string} linha - Número ou código da linha de ônibus
-   * @returns {Promise<Array>} Lista de ônibus da linha especificada que estão em rota
+   * @returns {Promise<Array>} Lista de ônibus da linha especificada
    */
   async getBusByLine(linha) {
     try {
       // Verificar cache específico da linha
-      const cacheKey = `line_active_${linha}`;
+      const cacheKey = `line_${linha}`;
       const cachedData = cacheService.getLine(cacheKey);
       if (cachedData) {
-        logger.info(`Retornando dados da linha ${linha} (veículos em rota) do cache`);
+        logger.info(`Retornando dados da linha ${linha} do cache`);
         return cachedData;
       }
 
@@ -225,7 +422,7 @@ class SppoService {
       // Armazenar no cache específico da linha
       cacheService.setLine(cacheKey, filteredData, 120); // 2 minutos (cache menor para dados mais dinâmicos)
       
-      logger.info(`Filtrados ${filteredData.length} ônibus EM ROTA da linha ${linha}`);
+      logger.info(`Filtrados ${filteredData.length} ônibus da linha ${linha}`);
       return filteredData;
       
     } catch (error) {
@@ -235,11 +432,45 @@ class SppoService {
   }
 
   /**
-   * Filtra os ônibus por proximidade geográfica com cache otimizado - APENAS VEÍCULOS EM ROTA
+   * Busca várias linhas de uma vez, com modo de correspondência explícito
+   * @param {Array<string>} linhas - Linhas pedidas
+   * @param {string} match - `exact` (linha igual), `prefix` (começa com) ou `contains` (contém)
+   * @returns {Promise<Array>} Um grupo por linha pedida, na ordem do pedido:
+   *   { consulta, linhas (linhas encontradas), total, onibus }
+   */
+  async getBusByLines(linhas, match = 'exact') {
+    try {
+      // Garante que o índice de linhas reflete o snapshot atual
+      await this.getCurrentSnapshot();
+
+      return linhas.map(consulta => {
+        const termo = consulta.toString().trim().toLowerCase();
+        const keys = match === 'exact'
+          ? (this.lineIndex.has(termo) ? [termo] : [])
+          : [...this.lineIndex.keys()]
+            .filter(key => (match === 'prefix' ? key.startsWith(termo) : key.includes(termo)))
+            .sort((a, b) => a.localeCompare(b, 'pt-BR', { numeric: true }));
+
+        const onibus = keys.flatMap(key => this.lineIndex.get(key));
+        return {
+          consulta,
+          linhas: keys.map(key => this.lineIndex.get(key)[0]?.linha ?? key),
+          total: onibus.length,
+          onibus
+        };
+      });
+    } catch (error) {
+      logger.error(`Erro ao filtrar ônibus das linhas ${linhas.join(', ')}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Filtra os ônibus por proximidade geográfica com cache otimizado
    * @param {number} lat - Latitude do ponto central
    * @param {number} lon - Longitude do ponto central
    * @param {number} raioKm - Raio de busca em quilômetros
-   * @returns {Promise<Array>} Lista de ônibus em rota dentro do raio especificado
+   * @returns {Promise<Array>} Lista de ônibus dentro do raio especificado
    */
   async getBusByPosition(lat, lon, raioKm = 1) {
     try {
@@ -251,37 +482,16 @@ class SppoService {
         return cachedData;
       }
 
-      // Obter todos os dados (com cache)
-      const allData = await this.getAllBusData();
+      // Garantir que existe um snapshot (e o índice espacial correspondente)
+      await this.getAllBusData();
       
-      // Filtrar ônibus dentro do raio especificado que estão EM ROTA
-      const filteredData = allData.filter(bus => {
-        if (!bus.latitude || !bus.longitude) {
-          return false;
-        }
-        
-        const distancia = this.calcularDistancia(lat, lon, bus.latitude, bus.longitude);
-        const dentroDoRaio = distancia <= raioKm;
-        
-        if (!dentroDoRaio) return false;
-        
-        // FILTRO PRINCIPAL: Apenas veículos em rota
-        // 1. Velocidade > 0 (em movimento)
-        // 2. OU dados muito recentes (últimos 5 minutos)
-        const agora = new Date();
-        const dataHoraBus = new Date(bus.dataHora);
-        const diferencaMinutos = (agora - dataHoraBus) / (1000 * 60);
-        
-        const emMovimento = parseFloat(bus.velocidade) > 0;
-        const dadosRecentes = diferencaMinutos <= 5; // Últimos 5 minutos
-        
-        return emMovimento || dadosRecentes;
-      });
+      // OTIMIZAÇÃO CRÍTICA: Consultar apenas as células da grade próximas ao ponto
+      const filteredData = this.spatialIndex.withinRadius(lat, lon, raioKm).map(({ item }) => item);
 
       // Armazenar no cache específico da posição
       cacheService.setPosition(cacheKey, filteredData, 120); // 2 minutos
       
-      logger.info(`Filtrados ${filteredData.length} ônibus EM ROTA em um raio de ${raioKm}km`);
+      logger.info(`Filtrados ${filteredData.length} ônibus em um raio de ${raioKm}km`);
       return filteredData;
       
     } catch (error) {
@@ -291,7 +501,122 @@ class SppoService {
   }
 
   /**
-   * OTIMIZAÇÃO CRÍTICA: Calcula distância com bounding box pré-filtro
+   * Busca os k ônibus mais próximos de um ponto
+   * @param {number} lat - Latitude do ponto
+   * @param {number} lon - Longitude do ponto
+   * @param {number} k - Quantidade de ônibus
+   * @param {string} [linha] - Considerar apenas uma linha (correspondência exata)
+   * @param {Array<string>} [status] - Considerar apenas os estados de atividade informados
+   * @returns {Promise<Array>} Ônibus ordenados pela distância, com `distanciaKm` e `azimute` a partir do ponto
+   */
+  async getNearestBuses(lat, lon, k = 10, linha, status) {
+    try {
+      await this.getAllBusData();
+
+      const matches = createBusFilter({ status });
+
+      let nearest;
+      if (linha) {
+        // Os ônibus de uma linha já estão agrupados no índice: basta ordenar esse grupo
+        const buses = this.lineIndex.get(linha.toString().trim().toLowerCase()) || [];
+        nearest = buses
+          .filter(bus => bus.latitude && bus.longitude && matches(bus))
+          .map(bus => ({ item: bus, distanceKm: haversineKm(lat, lon, bus.latitude, bus.longitude) }))
+          .sort((a, b) => a.distanceKm - b.distanceKm)
+          .slice(0, k);
+      } else {
+        nearest = this.spatialIndex.nearest(lat, lon, k, matches);
+      }
+
+      const result = nearest.map(({ item: bus, distanceKm }) => ({
+        ...bus,
+        distanciaKm: parseFloat(distanceKm.toFixed(3)),
+        azimute: parseFloat(bearingDegrees(lat, lon, bus.latitude, bus.longitude).toFixed(1))
+      }));
+
+      logger.info(`Encontrados ${result.length} ônibus mais próximos de (${lat}, ${lon})`);
+      return result;
+    } catch (error) {
+      logger.error('Erro ao buscar ônibus mais próximos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Filtra os ônibus dentro de um retângulo (ex.: área visível do mapa)
+   * @param {Array<number>} bbox - [minLon, minLat, maxLon, maxLat]
+   * @returns {Promise<Array>} Lista de ônibus dentro do retângulo
+   */
+  async getBusByBBox(bbox) {
+    try {
+      await this.getAllBusData();
+
+      const [minLon, minLat, maxLon, maxLat] = bbox;
+      const filteredData = this.spatialIndex.withinBBox(minLon, minLat, maxLon, maxLat);
+
+      logger.info(`Filtrados ${filteredData.length} ônibus no retângulo ${bbox.join(',')}`);
+      return filteredData;
+    } catch (error) {
+      logger.error('Erro ao filtrar ônibus por retângulo:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Filtra os ônibus dentro de uma área arbitrária (ex.: bairro ou corredor)
+   * @param {Object} geometry - Geometria GeoJSON Polygon ou MultiPolygon
+   * @returns {Promise<Array>} Lista de ônibus dentro da área
+   */
+  async getBusByPolygon(geometry) {
+    try {
+      await this.getAllBusData();
+
+      // Pré-filtro pelo retângulo envolvente na grade, depois teste exato no polígono
+      const [minLon, minLat, maxLon, maxLat] = geometryBBox(geometry);
+      const filteredData = this.spatialIndex
+        .withinBBox(minLon, minLat, maxLon, maxLat)
+        .filter(bus => pointInGeometry(bus.longitude, bus.latitude, geometry));
+
+      logger.info(`Filtrados ${filteredData.length} ônibus na área (${geometry.type})`);
+      return filteredData;
+    } catch (error) {
+      logger.error('Erro ao filtrar ônibus por área:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Combina os filtros de linha, posição e retângulo (todos opcionais, aplicados em conjunto)
+   * @param {Object} filtros - Filtros da consulta
+   * @param {string} [filtros.linha] - Linha de ônibus
+   * @param {number} [filtros.lat] - Latitude do centro da busca por raio
+   * @param {number} [filtros.lon] - Longitude do centro da busca por raio
+   * @param {number} [filtros.raio] - Raio em quilômetros
+   * @param {Array<number>} [filtros.bbox] - [minLon, minLat, maxLon, maxLat]
+   * @param {Array<string>} [filtros.status] - Estados de atividade
+   * @returns {Promise<Array>} Lista de ônibus que atendem a todos os filtros
+   */
+  async filterBuses({ linha, lat, lon, raio = 1, bbox, status } = {}) {
+    const porPosicao = Number.isFinite(lat) && Number.isFinite(lon);
+
+    // Partir do filtro mais seletivo que tem índice próprio
+    let buses;
+    if (linha) {
+      buses = await this.getBusByLine(linha);
+    } else if (porPosicao) {
+      buses = await this.getBusByPosition(lat, lon, raio);
+    } else if (bbox) {
+      buses = await this.getBusByBBox(bbox);
+    } else {
+      buses = await this.getAllBusData();
+    }
+
+    // Filtros restantes sobre o conjunto base (linha já aplicada acima, com fallback parcial)
+    return buses.filter(createBusFilter({ bbox, lat, lon, raio, status }));
+  }
+
+  /**
+   * Calcula a distância entre dois pontos (Haversine)
    * @param {number} lat1 - Latitude do primeiro ponto
    * @param {number} lon1 - Longitude do primeiro ponto
    * @param {number} lat2 - Latitude do segundo ponto
@@ -299,37 +624,22 @@ class SppoService {
    * @returns {number} Distância em quilômetros
    */
   calcularDistancia(lat1, lon1, lat2, lon2) {
-    // OTIMIZAÇÃO: Bounding box rápido antes de Haversine
-    const maxLatDiff = 0.1; // ~11km
-    const maxLonDiff = 0.1; // ~11km
-    
-    if (Math.abs(lat2 - lat1) > maxLatDiff || Math.abs(lon2 - lon1) > maxLonDiff) {
-      return Infinity; // Muito longe, pular Haversine
-    }
-    
-    // Haversine otimizado
-    const R = 6371;
-    const dLat = (lat2 - lat1) * 0.017453292519943295; // deg2rad inline
-    const dLon = (lon2 - lon1) * 0.017453292519943295;
-    
-    const a = 
-      Math.sin(dLat/2) * Math.sin(dLat/2) +
-      Math.cos(lat1 * 0.017453292519943295) * Math.cos(lat2 * 0.017453292519943295) * 
-      Math.sin(dLon/2) * Math.sin(dLon/2);
-    
-    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    return haversineKm(lat1, lon1, lat2, lon2);
   }
 
   /**
    * Obtém estatísticas dos dados atuais
+   * @param {Array<string>} [status] - Considerar apenas os estados de atividade informados
    * @returns {Promise<Object>} Estatísticas dos dados
    */
-  async getStats() {
+  async getStats(status) {
     try {
-      const data = await this.getAllBusData();
+      const all = await this.getAllBusData();
+      const data = all.filter(createBusFilter({ status }));
       
       const stats = {
         total: data.length,
+        byStatus: this.countByStatus(all),
         byLine: {},
         avgSpeed: 0,
         lastUpdate: null
@@ -358,25 +668,209 @@ class SppoService {
     }
   }
 
+  /**
+   * Lista os veículos sem reporte há mais de um tempo, inclusive os que não aparecem mais no feed
+   * @param {number} minutos - Tempo mínimo desde o último reporte
+   * @param {string} [linha] - Considerar apenas uma linha (correspondência exata)
+   * @returns {Promise<Array>} Último reporte de cada veículo com `minutosSemSinal`, `presenteNoFeed`
+   *   e `vistoNoFeedEm`, do silêncio mais longo para o mais curto
+   */
+  async getSilentVehicles(minutos, linha) {
+    try {
+      // Garante que o rastreador reflete o snapshot atual
+      await this.getCurrentSnapshot();
+
+      // Mesma referência da classificação de atividade (sem_sinal)
+      const now = this.reportReference ?? Date.now();
+      const matches = createBusFilter({ linhas: linha ? [linha] : undefined });
+
+      const result = this.lastSeen.reportedBefore(now - minutos * 60000)
+        .filter(({ bus }) => matches(bus))
+        .sort((a, b) => a.time - b.time)
+        .map(({ bus, time, seenAt, presente }) => ({
+          ...bus,
+          // Fora do feed, o estado do último snapshot em que o veículo apareceu já não vale (salvo garagem)
+          status: presente || bus.status === 'garagem' ? bus.status : 'sem_sinal',
+          minutosSemSinal: parseFloat(((now - time) / 60000).toFixed(1)),
+          presenteNoFeed: presente,
+          vistoNoFeedEm: new Date(seenAt).toISOString()
+        }));
+
+      logger.info(`Encontrados ${result.length} veículos sem sinal há mais de ${minutos} minutos (${result.filter(bus => !bus.presenteNoFeed).length} fora do feed)`);
+      return result;
+    } catch (error) {
+      logger.error('Erro ao buscar veículos sem sinal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Detecta os agrupamentos (bunching) de veículos de uma mesma linha no snapshot atual
+   * @param {Object} [options] - Opções da detecção
+   * @param {string} [options.linha] - Analisar apenas uma linha (correspondência exata); ausente = todas
+   * @param {number} [options.distanceKm] - Distância máxima entre veículos agrupados
+   * @param {Array<string>} [options.status] - Considerar apenas os estados de atividade informados
+   * @returns {Promise<Array>} Por linha: veículos considerados, veículos agrupados e os agrupamentos
+   */
+  async getBunching({ linha, distanceKm = config.bunching.distanceKm, status } = {}) {
+    try {
+      // Garante que o índice de linhas reflete o snapshot atual
+      await this.getCurrentSnapshot();
+
+      const matches = createBusFilter({ status });
+      const entries = linha
+        ? [this.lineIndex.get(linha.toString().trim().toLowerCase()) || []]
+        : [...this.lineIndex.values()];
+
+      const result = [];
+      for (const buses of entries) {
+        const considered = buses.filter(matches);
+        if (considered.length === 0) {
+          continue;
+        }
+
+        const agrupamentos = findBunches(considered, {
+          distanceKm,
+          maxHeadingDifference: config.bunching.maxHeadingDifference
+        });
+        result.push({
+          linha: considered[0].linha?.toString().trim() || 'unknown',
+          veiculos: considered.length,
+          veiculosAgrupados: agrupamentos.reduce((sum, group) => sum + group.veiculos, 0),
+          agrupamentos
+        });
+      }
+
+      logger.info(`Agrupamentos calculados para ${result.length} linhas (distância ${distanceKm} km)`);
+      return result;
+    } catch (error) {
+      logger.error('Erro ao detectar agrupamentos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Conta os veículos por estado de atividade
+   * @param {Array} buses - Ônibus classificados
+   * @returns {Object} Quantidade por estado (todos os estados presentes, mesmo zerados)
+   */
+  countByStatus(buses) {
+    const counts = Object.fromEntries(ACTIVITY_STATUSES.map(status => [status, 0]));
+    for (const bus of buses) {
+      if (bus.status in counts) {
+        counts[bus.status]++;
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Obtém o catálogo das linhas com veículos no snapshot atual
+   * @param {Array<string>} [status] - Considerar apenas os estados de atividade informados
+   * @returns {Promise<Array>} Resumo de cada linha, ordenado pela linha
+   */
+  async getLineCatalog(status = ACTIVITY_STATUSES) {
+    try {
+      // Garante que o índice de linhas reflete o snapshot atual
+      await this.getCurrentSnapshot();
+
+      // Um catálogo por combinação de estados, reaproveitado até o próximo snapshot
+      const key = [...status].sort().join(',');
+      if (!this.lineCatalog.has(key)) {
+        const matches = createBusFilter({ status });
+        const catalog = [...this.lineIndex.values()]
+          .map(buses => buses.filter(matches))
+          .filter(buses => buses.length > 0)
+          .map(buses => this.summarizeLine(buses))
+          .sort((a, b) => a.linha.localeCompare(b.linha, 'pt-BR', { numeric: true }));
+        this.lineCatalog.set(key, catalog);
+        logger.info(`Catálogo de linhas recalculado (${key}): ${catalog.length} linhas`);
+      }
+
+      return this.lineCatalog.get(key);
+    } catch (error) {
+      logger.error('Erro ao montar o catálogo de linhas:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resume os veículos de uma linha para o catálogo
+   * @param {Array} buses - Ônibus da linha (entrada do índice de linhas)
+   * @returns {Object} Linha, veículos (total e por estado), velocidade média, bbox, centroide e último reporte
+   */
+  summarizeLine(buses) {
+    let minLat = Infinity;
+    let minLon = Infinity;
+    let maxLat = -Infinity;
+    let maxLon = -Infinity;
+    let sumLat = 0;
+    let sumLon = 0;
+    let positioned = 0;
+    let totalSpeed = 0;
+    let lastReport = 0;
+
+    for (const bus of buses) {
+      totalSpeed += bus.velocidade || 0;
+      lastReport = Math.max(lastReport, Date.parse(bus.dataHora) || 0);
+
+      // Coordenadas zeradas indicam posição ausente
+      if (!bus.latitude || !bus.longitude) {
+        continue;
+      }
+      minLat = Math.min(minLat, bus.latitude);
+      minLon = Math.min(minLon, bus.longitude);
+      maxLat = Math.max(maxLat, bus.latitude);
+      maxLon = Math.max(maxLon, bus.longitude);
+      sumLat += bus.latitude;
+      sumLon += bus.longitude;
+      positioned++;
+    }
+
+    return {
+      linha: buses[0]?.linha?.toString().trim() || 'unknown',
+      veiculos: buses.length,
+      porStatus: this.countByStatus(buses),
+      velocidadeMedia: parseFloat((totalSpeed / buses.length).toFixed(1)),
+      bbox: positioned > 0 ? [minLon, minLat, maxLon, maxLat] : null,
+      centroide: positioned > 0
+        ? { latitude: parseFloat((sumLat / positioned).toFixed(6)), longitude: parseFloat((sumLon / positioned).toFixed(6)) }
+        : null,
+      ultimoReporte: lastReport ? new Date(lastReport).toISOString() : null
+    };
+  }
+
   /**
    * OTIMIZAÇÃO CRÍTICA: Atualiza índice por linha para lookup O(1)
    */
   updateLineIndex(buses) {
-    this.lineIndex.clear();
+    // Montar o novo índice à parte e trocar a referência, para que leituras concorrentes nunca vejam um índice parcial
+    const lineIndex = new Map();
     
     for (const bus of buses) {
       const linha = bus.linha?.toString().trim().toLowerCase() || 'unknown';
       
-      if (!this.lineIndex.has(linha)) {
-        this.lineIndex.set(linha, []);
+      if (!lineIndex.has(linha)) {
+        lineIndex.set(linha, []);
       }
-      this.lineIndex.get(linha).push(bus);
+      lineIndex.get(linha).push(bus);
     }
     
+    this.lineIndex = lineIndex;
+    this.lineCatalog = new Map();
     this.lastIndexUpdate = Date.now();
     logger.info(`Índice atualizado: ${this.lineIndex.size} linhas indexadas`);
   }
 
+  /**
+   * Reconstrói o índice espacial em grade usado nas consultas por proximidade
+   * @param {Array} buses - Ônibus do snapshot
+   */
+  updateSpatialIndex(buses) {
+    this.spatialIndex = SpatialGrid.build(buses, config.sppo.gridCellSize);
+    logger.info(`Índice espacial atualizado: ${this.spatialIndex.size} ônibus em ${this.spatialIndex.cells.size} células`);
+  }
+
   /**
    * Limpa caches relacionados aos dados SPPO
    */
@@ -384,6 +878,8 @@ class SppoService {
     cacheService.deleteGeneral(this.cacheKey);
     cacheService.deleteGeneral(`${this.cacheKey}_stale`);
     this.lineIndex.clear();
+    this.lineCatalog = new Map();
+    this.spatialIndex = new SpatialGrid(config.sppo.gridCellSize);
     logger.info('Caches SPPO limpos');
   }
 }
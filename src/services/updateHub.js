@@ -0,0 +1,129 @@
+import { EventEmitter } from 'events';
+import winston from 'winston';
+import { config } from '../config/app.js';
+import { indexByOrdem, diffSnapshots } from '../utils/snapshotDiff.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+/**
+ * Distribui as atualizações de posição para os clientes em tempo real
+ *
+ * A cada snapshot publicado calcula a diferença em relação ao anterior
+ * (adicionados, movidos, removidos) uma única vez e emite `diff` para os
+ * assinantes, que aplicam os próprios filtros. As diferenças mais recentes
+ * ficam em um buffer circular para que clientes reconectados retomem de onde pararam.
+ */
+class UpdateHub extends EventEmitter {
+  /**
+   * @param {Object} options - Opções do hub
+   * @param {number} options.bufferSize - Quantidade de diferenças mantidas para retomada
+   */
+  constructor({ bufferSize }) {
+    super();
+    this.bufferSize = bufferSize;
+    this.buffer = []; // Diferenças mais recentes, da mais antiga para a mais nova
+    this.current = null; // { id, fetchedAt, byOrdem }
+
+    // Cada cliente SSE e o serviço WebSocket são listeners de `diff`
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Passa a calcular as diferenças de cada snapshot publicado pelo serviço SPPO
+   * @param {EventEmitter} service - Serviço que emite `snapshot`
+   */
+  attach(service) {
+    service.on('snapshot', snapshot => this.publish(snapshot));
+  }
+
+  /**
+   * Calcula e distribui a diferença de um novo snapshot
+   * @param {Object} snapshot - Snapshot publicado { id, fetchedAt, buses }
+   */
+  publish(snapshot) {
+    const byOrdem = indexByOrdem(snapshot.buses);
+    const previous = this.current;
+    this.current = { id: snapshot.id, fetchedAt: snapshot.fetchedAt, byOrdem };
+
+    const diff = {
+      id: snapshot.id,
+      anterior: previous?.id ?? null,
+      timestamp: new Date(snapshot.fetchedAt).toISOString(),
+      ...diffSnapshots(previous?.byOrdem ?? new Map(), byOrdem)
+    };
+
+    this.buffer.push(diff);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    logger.info(`Atualização ${diff.id}: ${diff.adicionados.length} adicionados, ${diff.movidos.length} movidos, ${diff.removidos.length} removidos (${this.listenerCount('diff')} assinantes)`);
+    this.emit('diff', diff);
+  }
+
+  /**
+   * Obtém as diferenças publicadas depois de um snapshot
+   * @param {string} id - Id do último snapshot recebido pelo cliente
+   * @returns {Array|null} Diferenças em ordem ou null se o snapshot não estiver mais no buffer
+   */
+  since(id) {
+    if (this.current?.id === id) {
+      return [];
+    }
+
+    const index = this.buffer.findIndex(diff => diff.anterior === id);
+    return index === -1 ? null : this.buffer.slice(index);
+  }
+
+  /**
+   * Encontra o snapshot publicado mais recente até um instante
+   * @param {number} time - Timestamp em ms
+   * @returns {string|null} Id do snapshot ou null se o instante for anterior ao buffer
+   */
+  snapshotAt(time) {
+    for (let i = this.buffer.length - 1; i >= 0; i--) {
+      if (Date.parse(this.buffer[i].timestamp) <= time) {
+        return this.buffer[i].id;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Obtém o estado atual completo (um ônibus por ordem)
+   * @returns {{ id: string, timestamp: string, buses: Array }|null} Estado atual ou null antes do primeiro snapshot
+   */
+  getCurrent() {
+    if (!this.current) {
+      return null;
+    }
+    return {
+      id: this.current.id,
+      timestamp: new Date(this.current.fetchedAt).toISOString(),
+      buses: [...this.current.byOrdem.values()]
+    };
+  }
+
+  /**
+   * Obtém o estado do hub
+   * @returns {Object} Estado do hub
+   */
+  getStatus() {
+    return {
+      snapshotAtual: this.current?.id ?? null,
+      diferencasNoBuffer: this.buffer.length,
+      assinantes: this.listenerCount('diff')
+    };
+  }
+}
+
+export default new UpdateHub(config.stream);
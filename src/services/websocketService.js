@@ -0,0 +1,271 @@
+import Joi from 'joi';
+import winston from 'winston';
+import { WebSocketServer } from 'ws';
+import updateHub from './updateHub.js';
+import { config } from '../config/app.js';
+import { createBusFilter, busFilterKey } from '../utils/busFilter.js';
+import { filterDiff } from '../utils/snapshotDiff.js';
+import { ACTIVITY_STATUSES } from '../utils/activityClassifier.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+// Bytes pendentes de envio a partir dos quais o cliente é considerado lento demais
+const MAX_BUFFERED_BYTES = 4 * 1024 * 1024;
+
+// Schemas das mensagens enviadas pelos clientes, por ação
+const messageSchemas = {
+  inscrever: Joi.object({
+    acao: Joi.string().required(),
+    id: Joi.string().min(1).max(50).required(),
+    filtro: Joi.object({
+      linhas: Joi.array().items(Joi.string().min(1).max(20)).max(50),
+      ordens: Joi.array().items(Joi.string().min(1).max(20)).max(500),
+      bbox: Joi.array().items(Joi.number()).length(4),
+      lat: Joi.number().min(-90).max(90),
+      lon: Joi.number().min(-180).max(180),
+      raio: Joi.number().min(0.1).max(50),
+      status: Joi.array().items(Joi.string().valid(...ACTIVITY_STATUSES)).min(1)
+    }).and('lat', 'lon').default({})
+  }),
+  cancelar: Joi.object({
+    acao: Joi.string().required(),
+    id: Joi.string().min(1).max(50).required()
+  })
+};
+
+/**
+ * API de assinaturas em tempo real via WebSocket
+ *
+ * Cada conexão mantém várias assinaturas independentes (por linhas, veículos
+ * ou área), criadas e canceladas por mensagens, sem reconectar. As diferenças
+ * calculadas pelo hub de atualizações são recortadas por assinatura e enviadas
+ * apenas quando há veículos correspondentes.
+ */
+class WebSocketService {
+  /**
+   * @param {Object} options - Opções do WebSocket
+   * @param {string} options.path - Caminho do endpoint no servidor HTTP
+   * @param {number} options.maxClients - Máximo de conexões simultâneas
+   * @param {number} options.maxSubscriptions - Máximo de assinaturas por conexão
+   * @param {number} options.pingInterval - Intervalo do ping de verificação das conexões em ms
+   */
+  constructor({ path, maxClients, maxSubscriptions, pingInterval }) {
+    this.path = path;
+    this.maxClients = maxClients;
+    this.maxSubscriptions = maxSubscriptions;
+    this.pingInterval = pingInterval;
+
+    this.wss = null;
+    this.clients = new Map(); // Map<WebSocket, { subscriptions: Map<id, { key, matches }>, alive }>
+    this.pingTimer = null;
+    this.onDiff = diff => this.broadcast(diff);
+  }
+
+  /**
+   * Anexa o endpoint WebSocket ao servidor HTTP
+   * @param {http.Server} server - Servidor HTTP do Express
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({ server, path: this.path, maxPayload: 64 * 1024 });
+    this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+    updateHub.on('diff', this.onDiff);
+
+    // Conexões que não respondem ao ping são encerradas
+    this.pingTimer = setInterval(() => {
+      for (const [ws, client] of this.clients) {
+        if (!client.alive) {
+          ws.terminate();
+          continue;
+        }
+        client.alive = false;
+        ws.ping();
+      }
+    }, this.pingInterval);
+
+    logger.info(`WebSocket de atualizações em tempo real disponível em ${this.path}`);
+  }
+
+  /**
+   * Registra uma nova conexão
+   * @param {WebSocket} ws - Conexão
+   * @param {Object} req - Requisição HTTP de upgrade
+   */
+  handleConnection(ws, req) {
+    if (this.clients.size >= this.maxClients) {
+      ws.close(1013, 'Limite de conexões atingido');
+      return;
+    }
+
+    const client = { subscriptions: new Map(), alive: true };
+    this.clients.set(ws, client);
+    logger.info(`WebSocket: cliente conectado de ${req.socket.remoteAddress} (${this.clients.size} conectados)`);
+
+    ws.on('pong', () => {
+      client.alive = true;
+    });
+    ws.on('message', data => this.handleMessage(ws, client, data));
+    ws.on('close', () => {
+      this.clients.delete(ws);
+      logger.info(`WebSocket: cliente desconectado (${this.clients.size} conectados)`);
+    });
+    ws.on('error', error => {
+      logger.warn(`WebSocket: erro na conexão: ${error.message}`);
+    });
+
+    this.send(ws, { tipo: 'conectado', maxInscricoes: this.maxSubscriptions });
+  }
+
+  /**
+   * Trata uma mensagem de assinatura ou cancelamento
+   * @param {WebSocket} ws - Conexão
+   * @param {Object} client - Estado da conexão
+   * @param {Buffer} data - Mensagem recebida
+   */
+  handleMessage(ws, client, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      return this.send(ws, { tipo: 'erro', mensagem: 'Mensagem inválida: esperado JSON' });
+    }
+
+    const schema = Object.hasOwn(messageSchemas, message?.acao) ? messageSchemas[message.acao] : null;
+    if (!schema) {
+      return this.send(ws, { tipo: 'erro', id: message?.id, mensagem: `Ação inválida: use ${Object.keys(messageSchemas).join(' ou ')}` });
+    }
+
+    const { error, value } = schema.validate(message);
+    if (error) {
+      return this.send(ws, { tipo: 'erro', id: message?.id, mensagem: `Mensagem inválida: ${error.details.map(d => d.message).join(', ')}` });
+    }
+
+    if (value.acao === 'cancelar') {
+      client.subscriptions.delete(value.id);
+      return this.send(ws, { tipo: 'cancelado', id: value.id });
+    }
+
+    this.subscribe(ws, client, value);
+  }
+
+  /**
+   * Cria (ou substitui) uma assinatura e envia o estado atual correspondente
+   * @param {WebSocket} ws - Conexão
+   * @param {Object} client - Estado da conexão
+   * @param {Object} message - Mensagem `inscrever` validada
+   */
+  subscribe(ws, client, { id, filtro }) {
+    if (!client.subscriptions.has(id) && client.subscriptions.size >= this.maxSubscriptions) {
+      return this.send(ws, { tipo: 'erro', id, mensagem: `Limite de ${this.maxSubscriptions} inscrições por conexão atingido` });
+    }
+
+    const [minLon, minLat, maxLon, maxLat] = filtro.bbox || [];
+    if (filtro.bbox && (minLon >= maxLon || minLat >= maxLat)) {
+      return this.send(ws, { tipo: 'erro', id, mensagem: 'bbox inválido: use [minLon, minLat, maxLon, maxLat] com mínimos menores que os máximos' });
+    }
+
+    const normalized = {
+      ...filtro,
+      raio: filtro.raio ?? 1,
+      status: filtro.status ?? config.activity.defaultStatus
+    };
+    const matches = createBusFilter(normalized);
+    client.subscriptions.set(id, { key: busFilterKey(normalized), matches });
+
+    const current = updateHub.getCurrent();
+    const onibus = current ? current.buses.filter(matches) : [];
+    this.send(ws, {
+      tipo: 'inscrito',
+      id,
+      filtro,
+      snapshot: current?.id ?? null,
+      timestamp: current?.timestamp ?? null,
+      total: onibus.length,
+      onibus
+    });
+  }
+
+  /**
+   * Envia a diferença de um snapshot para cada assinatura com veículos correspondentes
+   *
+   * O recorte é calculado uma vez por filtro distinto, não por assinatura;
+   * conexões fechadas ou lentas são descartadas antes de qualquer recorte.
+   *
+   * @param {Object} diff - Diferença publicada pelo hub
+   */
+  broadcast(diff) {
+    const views = new Map(); // Map<chave do filtro, recorte da diferença>
+
+    for (const [ws, client] of this.clients) {
+      if (ws.readyState !== ws.OPEN || client.subscriptions.size === 0) {
+        continue;
+      }
+
+      for (const [id, { key, matches }] of client.subscriptions) {
+        // Verificado também entre assinaturas: cada envio aumenta o buffer da conexão
+        if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+          logger.warn('WebSocket: cliente não acompanha as atualizações, encerrando conexão');
+          ws.close(1013, 'Cliente lento demais');
+          break;
+        }
+
+        if (!views.has(key)) {
+          views.set(key, filterDiff(diff, matches));
+        }
+        const view = views.get(key);
+        if (view.adicionados.length || view.movidos.length || view.removidos.length) {
+          this.send(ws, { tipo: 'diff', id, snapshot: diff.id, anterior: diff.anterior, timestamp: diff.timestamp, ...view });
+        }
+      }
+    }
+  }
+
+  /**
+   * Envia uma mensagem JSON se a conexão estiver aberta
+   * @param {WebSocket} ws - Conexão
+   * @param {Object} message - Mensagem
+   */
+  send(ws, message) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Encerra todas as conexões e o endpoint
+   */
+  close() {
+    clearInterval(this.pingTimer);
+    updateHub.off('diff', this.onDiff);
+    for (const ws of this.clients.keys()) {
+      ws.close(1001, 'Servidor encerrando');
+    }
+    this.wss?.close();
+  }
+
+  /**
+   * Obtém o estado do WebSocket
+   * @returns {Object} Conexões e inscrições ativas
+   */
+  getStatus() {
+    let inscricoes = 0;
+    for (const client of this.clients.values()) {
+      inscricoes += client.subscriptions.size;
+    }
+    return {
+      path: this.path,
+      conexoes: this.clients.size,
+      inscricoes
+    };
+  }
+}
+
+export default new WebSocketService(config.websocket);
@@ -0,0 +1,149 @@
+import { haversineKm } from './geo.js';
+
+// Estados de atividade de um veículo
+export const ACTIVITY_STATUSES = ['em_movimento', 'parado', 'garagem', 'sem_sinal'];
+
+/**
+ * Converte o parâmetro `status` de uma consulta na lista de estados aceitos
+ * @param {string} [value] - Estados separados por vírgula, ou `todos`
+ * @param {Array<string>} defaults - Estados usados quando o parâmetro não é informado
+ * @returns {Array<string>} Estados aceitos
+ */
+export function parseStatus(value, defaults) {
+  if (!value) {
+    return defaults;
+  }
+  const statuses = value.split(',').map(status => status.trim().toLowerCase()).filter(Boolean);
+  return statuses.includes('todos') ? ACTIVITY_STATUSES : statuses;
+}
+
+/**
+ * Horário do reporte mais recente de um snapshot, referência para a idade dos
+ * reportes em replays sem deslocamento dos horários
+ *
+ * Com o relógio do servidor como referência, esses replays deixariam a frota
+ * inteira sem sinal.
+ *
+ * @param {Array} buses - Registros normalizados
+ * @returns {number} Timestamp em ms (o horário atual se nenhum registro tiver horário válido)
+ */
+export function latestReportTime(buses) {
+  let latest = -Infinity;
+  for (const bus of buses) {
+    // Registros sinalizados pela validação (ex.: data_futura) não servem de referência
+    if (bus.qualidade?.length) {
+      continue;
+    }
+    const time = Date.parse(bus.dataHora);
+    if (time > latest) {
+      latest = time;
+    }
+  }
+  return Number.isFinite(latest) ? latest : Date.now();
+}
+
+/**
+ * Classifica a atividade de cada veículo do snapshot
+ *
+ * Estados, na ordem em que são avaliados:
+ * - `garagem`: última posição dentro de uma garagem configurada;
+ * - `sem_sinal`: último reporte mais antigo que `silentAfterMinutes` em relação ao horário de referência;
+ * - `em_movimento`: velocidade reportada acima de `movingSpeedKmh`;
+ * - `garagem`: parado no mesmo lugar há mais de `garageAfterMinutes` (recolhido fora das garagens conhecidas);
+ * - `parado`: demais casos (ponto final, engarrafamento, embarque).
+ *
+ * O tempo parado é acompanhado entre snapshots pelo número de ordem: um veículo
+ * que se desloca mais que `stationaryRadiusKm` volta a contar do zero.
+ */
+export class ActivityClassifier {
+  /**
+   * @param {Object} options - Limites da classificação
+   * @param {number} options.movingSpeedKmh - Velocidade acima da qual o veículo está em movimento
+   * @param {number} options.silentAfterMinutes - Idade do reporte a partir da qual o veículo está sem sinal
+   * @param {number} options.garageAfterMinutes - Tempo parado a partir do qual o veículo é considerado recolhido
+   * @param {number} options.stationaryRadiusKm - Deslocamento tolerado (ruído do GPS) para um veículo parado
+   * @param {Array<{ latitude: number, longitude: number, raio: number }>} options.garages - Garagens (raio em km)
+   */
+  constructor({ movingSpeedKmh, silentAfterMinutes, garageAfterMinutes, stationaryRadiusKm, garages }) {
+    this.movingSpeedKmh = movingSpeedKmh;
+    this.silentAfterMinutes = silentAfterMinutes;
+    this.garageAfterMinutes = garageAfterMinutes;
+    this.stationaryRadiusKm = stationaryRadiusKm;
+    this.garages = garages;
+
+    this.stopped = new Map(); // Map<ordem, { since, latitude, longitude }>
+  }
+
+  /**
+   * Classifica os registros de um snapshot, acrescentando o campo `status`
+   * @param {Array} buses - Registros normalizados (alterados no lugar)
+   * @param {number} [now] - Horário de referência (ms); padrão: o relógio do servidor
+   */
+  apply(buses, now = Date.now()) {
+    const stopped = new Map();
+
+    for (const bus of buses) {
+      const time = Date.parse(bus.dataHora);
+      const moving = parseFloat(bus.velocidade) > this.movingSpeedKmh;
+
+      // Início do período parado no mesmo lugar (mantido enquanto o veículo não se desloca)
+      let stoppedSince = null;
+      if (!moving && bus.ordem && !Number.isNaN(time)) {
+        const previous = stopped.get(bus.ordem) || this.stopped.get(bus.ordem);
+        const samePlace = previous &&
+          haversineKm(previous.latitude, previous.longitude, bus.latitude, bus.longitude) <= this.stationaryRadiusKm;
+
+        const anchor = samePlace ? previous : { latitude: bus.latitude, longitude: bus.longitude, since: time };
+        stoppedSince = Math.min(anchor.since, time);
+        stopped.set(bus.ordem, { ...anchor, since: stoppedSince });
+      }
+
+      bus.status = this.classify(bus, { time, moving, stoppedSince, now });
+    }
+
+    // Veículos ausentes do snapshot ou que voltaram a andar deixam de ser acompanhados
+    this.stopped = stopped;
+  }
+
+  /**
+   * Determina o estado de um veículo
+   * @param {Object} bus - Registro normalizado
+   * @param {Object} context - Dados já calculados do registro
+   * @param {number} context.time - Horário do reporte (ms)
+   * @param {boolean} context.moving - Velocidade acima do limite de movimento
+   * @param {number|null} context.stoppedSince - Início do período parado (ms)
+   * @param {number} context.now - Horário de referência (ms)
+   * @returns {string} Estado de atividade
+   */
+  classify(bus, { time, moving, stoppedSince, now }) {
+    if (this.inGarage(bus)) {
+      return 'garagem';
+    }
+    if (Number.isNaN(time) || now - time > this.silentAfterMinutes * 60000) {
+      return 'sem_sinal';
+    }
+    if (moving) {
+      return 'em_movimento';
+    }
+    if (stoppedSince !== null && time - stoppedSince >= this.garageAfterMinutes * 60000) {
+      return 'garagem';
+    }
+    return 'parado';
+  }
+
+  /**
+   * Verifica se a posição do veículo está dentro de alguma garagem configurada
+   * @param {Object} bus - Registro normalizado
+   * @returns {boolean} Dentro de uma garagem
+   */
+  inGarage(bus) {
+    if (!bus.latitude || !bus.longitude) {
+      return false;
+    }
+    return this.garages.some(garage =>
+      haversineKm(garage.latitude, garage.longitude, bus.latitude, bus.longitude) <= garage.raio
+    );
+  }
+}
+
+export default ActivityClassifier;
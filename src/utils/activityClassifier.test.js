@@ -0,0 +1,122 @@
+import { describe, test, expect } from '@jest/globals';
+import { ActivityClassifier, latestReportTime, parseStatus, ACTIVITY_STATUSES } from './activityClassifier.js';
+
+const T0 = Date.parse('2026-01-01T10:00:00.000Z');
+const at = minutes => new Date(T0 + minutes * 60000).toISOString();
+
+const options = {
+  movingSpeedKmh: 0,
+  silentAfterMinutes: 5,
+  garageAfterMinutes: 60,
+  stationaryRadiusKm: 0.05,
+  garages: [{ latitude: -22.8, longitude: -43.3, raio: 0.2 }]
+};
+
+const bus = (ordem, minutes, velocidade = 0, latitude = -22.9, longitude = -43.2) =>
+  ({ ordem, dataHora: at(minutes), velocidade, latitude, longitude });
+
+describe('parseStatus', () => {
+  test('usa os estados padrão sem parâmetro e aceita todos', () => {
+    expect(parseStatus(undefined, ['parado'])).toEqual(['parado']);
+    expect(parseStatus('Parado, em_movimento', ['garagem'])).toEqual(['parado', 'em_movimento']);
+    expect(parseStatus('parado,todos', [])).toEqual(ACTIVITY_STATUSES);
+  });
+});
+
+describe('latestReportTime', () => {
+  test('ignora horários inválidos e registros sinalizados pela validação', () => {
+    expect(latestReportTime([
+      bus('A1', 0),
+      { ...bus('A2', 30), qualidade: ['data_futura'] },
+      { ...bus('A3', 0), dataHora: 'inválida' },
+      bus('A4', 2)
+    ])).toBe(T0 + 2 * 60000);
+  });
+});
+
+describe('ActivityClassifier', () => {
+  test('classifica pela velocidade reportada', () => {
+    const buses = [bus('A1', 0, 30), bus('A2', 0, 0)];
+    new ActivityClassifier(options).apply(buses, latestReportTime(buses));
+
+    expect(buses.map(item => item.status)).toEqual(['em_movimento', 'parado']);
+  });
+
+  test('respeita o limite de velocidade de movimento', () => {
+    const buses = [bus('A1', 0, 3), bus('A2', 0, 6)];
+    new ActivityClassifier({ ...options, movingSpeedKmh: 5 }).apply(buses, latestReportTime(buses));
+
+    expect(buses.map(item => item.status)).toEqual(['parado', 'em_movimento']);
+  });
+
+  test('mede a idade dos reportes pelo relógio do servidor por padrão', () => {
+    const now = Date.now();
+    const buses = [
+      { ...bus('A1', 0, 30), dataHora: new Date(now).toISOString() },
+      { ...bus('A2', 0, 30), dataHora: new Date(now - 6 * 60000).toISOString() }
+    ];
+    new ActivityClassifier(options).apply(buses);
+
+    expect(buses.map(item => item.status)).toEqual(['em_movimento', 'sem_sinal']);
+  });
+
+  test('mede a idade dos reportes a partir do reporte mais recente quando ele é a referência', () => {
+    // Snapshot antigo (replay sem deslocamento de horários): o relógio do servidor não interfere
+    const buses = [bus('A1', 10, 30), bus('A2', 5, 30), bus('A3', 4.9, 30), bus('A4', 0, 30)];
+    new ActivityClassifier(options).apply(buses, latestReportTime(buses));
+
+    expect(buses.map(item => item.status)).toEqual(['em_movimento', 'em_movimento', 'sem_sinal', 'sem_sinal']);
+  });
+
+  test('aceita um horário de referência explícito', () => {
+    const buses = [bus('A1', 0, 30)];
+    new ActivityClassifier(options).apply(buses, T0 + 6 * 60000);
+
+    expect(buses[0].status).toBe('sem_sinal');
+  });
+
+  test('classifica como sem sinal o registro sem horário válido', () => {
+    const buses = [bus('A1', 0, 30), { ...bus('A2', 0, 30), dataHora: null }];
+    new ActivityClassifier(options).apply(buses, latestReportTime(buses));
+
+    expect(buses[1].status).toBe('sem_sinal');
+  });
+
+  test('classifica como garagem a posição dentro de uma garagem configurada, mesmo sem sinal', () => {
+    const buses = [bus('A1', 10, 30), bus('A2', 0, 0, -22.801, -43.3)];
+    new ActivityClassifier(options).apply(buses, latestReportTime(buses));
+
+    expect(buses[1].status).toBe('garagem');
+  });
+
+  test('classifica como garagem o veículo parado no mesmo lugar além do limite', () => {
+    const classifier = new ActivityClassifier(options);
+
+    const first = [bus('A1', 0, 0)];
+    classifier.apply(first, latestReportTime(first));
+    expect(first[0].status).toBe('parado');
+
+    // Ruído do GPS dentro do raio de tolerância não reinicia a contagem
+    const almost = [bus('A1', 59, 0, -22.9002, -43.2)];
+    classifier.apply(almost, latestReportTime(almost));
+    expect(almost[0].status).toBe('parado');
+
+    const recolhido = [bus('A1', 60, 0, -22.9001, -43.2)];
+    classifier.apply(recolhido, latestReportTime(recolhido));
+    expect(recolhido[0].status).toBe('garagem');
+  });
+
+  test('reinicia a contagem quando o veículo se desloca ou volta a andar', () => {
+    const classifier = new ActivityClassifier(options);
+    classifier.apply([bus('A1', 0, 0)], T0);
+    classifier.apply([bus('A1', 30, 20)], T0 + 30 * 60000);
+
+    const stopped = [bus('A1', 70, 0)];
+    classifier.apply(stopped, latestReportTime(stopped));
+    expect(stopped[0].status).toBe('parado');
+
+    const moved = [bus('A1', 140, 0, -22.91, -43.2)];
+    classifier.apply(moved, latestReportTime(moved));
+    expect(moved[0].status).toBe('parado');
+  });
+});
@@ -0,0 +1,94 @@
+import { haversineKm, KM_PER_DEGREE } from './geo.js';
+import { SpatialGrid } from './spatialIndex.js';
+
+/**
+ * Diferença angular entre dois rumos
+ * @param {number} a - Rumo em graus
+ * @param {number} b - Rumo em graus
+ * @returns {number} Diferença de 0 a 180 graus
+ */
+function headingDifference(a, b) {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+}
+
+/**
+ * Encontra os agrupamentos (bunching) entre os veículos de uma mesma linha
+ *
+ * Dois veículos estão agrupados quando estão a até `distanceKm` um do outro e,
+ * se ambos têm rumo conhecido, seguem no mesmo sentido (diferença de até
+ * `maxHeadingDifference` graus), para não contar ônibus que se cruzam em sentidos
+ * opostos. Agrupamentos são transitivos: três ônibus em fila formam um único grupo.
+ * Os pares candidatos vêm de um índice espacial com células do tamanho da distância,
+ * em vez de comparar todos os pares da linha.
+ *
+ * @param {Array} buses - Ônibus de uma linha
+ * @param {Object} options - Limites da detecção
+ * @param {number} options.distanceKm - Distância máxima entre veículos agrupados
+ * @param {number} options.maxHeadingDifference - Diferença máxima de rumo em graus
+ * @returns {Array<{ veiculos: number, ordens: Array<string>, distanciaMaximaKm: number, centroide: Object, onibus: Array }>}
+ *   Agrupamentos com dois ou mais veículos, do maior para o menor
+ */
+export function findBunches(buses, { distanceKm, maxHeadingDifference }) {
+  const positioned = buses.filter(({ latitude, longitude }) =>
+    Number.isFinite(latitude) && Number.isFinite(longitude) && latitude !== 0 && longitude !== 0
+  );
+
+  const grid = SpatialGrid.build(positioned, distanceKm / KM_PER_DEGREE);
+  const indexOf = new Map(positioned.map((bus, index) => [bus, index]));
+
+  // Union-find sobre os índices dos veículos
+  const parent = positioned.map((_, index) => index);
+  const root = index => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  positioned.forEach((a, i) => {
+    for (const { item: b } of grid.withinRadius(a.latitude, a.longitude, distanceKm)) {
+      const j = indexOf.get(b);
+      if (j <= i) {
+        continue; // Cada par uma vez (e o próprio veículo)
+      }
+      if (Number.isFinite(a.rumo) && Number.isFinite(b.rumo) && headingDifference(a.rumo, b.rumo) > maxHeadingDifference) {
+        continue;
+      }
+      parent[root(i)] = root(j);
+    }
+  });
+
+  const groups = new Map();
+  positioned.forEach((bus, index) => {
+    const key = root(index);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(bus);
+  });
+
+  return [...groups.values()]
+    .filter(group => group.length >= 2)
+    .map(group => {
+      let maxDistance = 0;
+      for (let i = 0; i < group.length; i++) {
+        for (let j = i + 1; j < group.length; j++) {
+          maxDistance = Math.max(maxDistance, haversineKm(group[i].latitude, group[i].longitude, group[j].latitude, group[j].longitude));
+        }
+      }
+
+      return {
+        veiculos: group.length,
+        ordens: group.map(bus => bus.ordem),
+        distanciaMaximaKm: parseFloat(maxDistance.toFixed(3)),
+        centroide: {
+          latitude: parseFloat((group.reduce((sum, bus) => sum + bus.latitude, 0) / group.length).toFixed(6)),
+          longitude: parseFloat((group.reduce((sum, bus) => sum + bus.longitude, 0) / group.length).toFixed(6))
+        },
+        onibus: group
+      };
+    })
+    .sort((a, b) => b.veiculos - a.veiculos);
+}
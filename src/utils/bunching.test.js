@@ -0,0 +1,93 @@
+import { describe, test, expect } from '@jest/globals';
+import { findBunches } from './bunching.js';
+import { haversineKm } from './geo.js';
+
+// 0,001° de latitude ≈ 111 m
+const bus = (ordem, latitude, rumo = null, longitude = -43.2) => ({ ordem, latitude, longitude, rumo });
+
+const options = { distanceKm: 0.3, maxHeadingDifference: 45 };
+const groupsOf = result => result.map(group => [...group.ordens].sort());
+
+describe('findBunches', () => {
+  test('agrupa veículos próximos no mesmo sentido', () => {
+    const result = findBunches([bus('A1', -22.9, 10), bus('A2', -22.901, 20), bus('A3', -22.95, 10)], options);
+
+    expect(groupsOf(result)).toEqual([['A1', 'A2']]);
+    expect(result[0]).toMatchObject({ veiculos: 2, distanciaMaximaKm: 0.111 });
+    expect(result[0].centroide).toEqual({ latitude: -22.9005, longitude: -43.2 });
+  });
+
+  test('agrupamentos são transitivos', () => {
+    // Vizinhos a ~222 m, mas as pontas a ~444 m uma da outra
+    const result = findBunches([bus('A1', -22.9), bus('A2', -22.902), bus('A3', -22.904)], options);
+
+    expect(groupsOf(result)).toEqual([['A1', 'A2', 'A3']]);
+    expect(result[0].distanciaMaximaKm).toBeGreaterThan(options.distanceKm);
+  });
+
+  test('não agrupa ônibus que se cruzam em sentidos opostos', () => {
+    expect(findBunches([bus('A1', -22.9, 0), bus('A2', -22.901, 180)], options)).toEqual([]);
+    expect(findBunches([bus('A1', -22.9, 350), bus('A2', -22.901, 20)], options)).toHaveLength(1);
+  });
+
+  test('o sentido oposto não impede o agrupamento transitivo por outro veículo', () => {
+    // A1 e A3 em sentidos incompatíveis entre si, mas ambos compatíveis com A2
+    const result = findBunches([bus('A1', -22.9, 0), bus('A2', -22.901, 40), bus('A3', -22.902, 80)], options);
+
+    expect(groupsOf(result)).toEqual([['A1', 'A2', 'A3']]);
+  });
+
+  test('agrupa quando algum dos rumos é desconhecido', () => {
+    expect(findBunches([bus('A1', -22.9, 0), bus('A2', -22.901, null)], options)).toHaveLength(1);
+  });
+
+  test('ignora veículos sem coordenadas válidas', () => {
+    const result = findBunches([
+      bus('A1', -22.9),
+      bus('A2', 0),
+      bus('A3', NaN),
+      { ordem: 'A4', latitude: '-22.9', longitude: '-43.2' },
+      bus('A5', -22.9001)
+    ], options);
+
+    expect(groupsOf(result)).toEqual([['A1', 'A5']]);
+  });
+
+  test('ordena os agrupamentos do maior para o menor', () => {
+    const result = findBunches([
+      bus('B1', -22.95), bus('B2', -22.9501),
+      bus('A1', -22.9), bus('A2', -22.9001), bus('A3', -22.9002)
+    ], options);
+
+    expect(result.map(group => group.veiculos)).toEqual([3, 2]);
+  });
+
+  test('coincide com a comparação de todos os pares', () => {
+    const fleet = Array.from({ length: 120 }, (_, i) => ({
+      ordem: `A${i}`,
+      latitude: -22.9 + ((i * 37) % 100) / 5000,
+      longitude: -43.2 + ((i * 61) % 100) / 5000,
+      rumo: (i * 47) % 360
+    }));
+
+    // Componentes conexos pela comparação exaustiva
+    const parent = fleet.map((_, i) => i);
+    const root = i => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+    for (let i = 0; i < fleet.length; i++) {
+      for (let j = i + 1; j < fleet.length; j++) {
+        const diff = Math.abs(fleet[i].rumo - fleet[j].rumo) % 360;
+        const compatible = (diff > 180 ? 360 - diff : diff) <= options.maxHeadingDifference;
+        if (compatible && haversineKm(fleet[i].latitude, fleet[i].longitude, fleet[j].latitude, fleet[j].longitude) <= options.distanceKm) {
+          parent[root(i)] = root(j);
+        }
+      }
+    }
+    const expected = new Map();
+    fleet.forEach((item, i) => expected.set(root(i), [...(expected.get(root(i)) || []), item.ordem]));
+    const expectedGroups = [...expected.values()].filter(group => group.length >= 2).map(group => group.sort());
+
+    const actual = groupsOf(findBunches(fleet, options));
+    expect(actual.length).toBeGreaterThan(0);
+    expect(actual.map(group => group.join()).sort()).toEqual(expectedGroups.map(group => group.join()).sort());
+  });
+});
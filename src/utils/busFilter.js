@@ -0,0 +1,61 @@
+import { haversineKm } from './geo.js';
+
+/**
+ * Cria o filtro de ônibus de uma assinatura (stream ou WebSocket)
+ *
+ * Todos os critérios informados precisam ser atendidos; sem critérios, todos os ônibus passam.
+ *
+ * @param {Object} criteria - Critérios do filtro
+ * @param {Array<string>} [criteria.linhas] - Linhas (correspondência exata, sem diferenciar maiúsculas)
+ * @param {Array<string>} [criteria.ordens] - Números de ordem dos veículos
+ * @param {Array<number>} [criteria.bbox] - [minLon, minLat, maxLon, maxLat]
+ * @param {number} [criteria.lat] - Latitude do centro do raio
+ * @param {number} [criteria.lon] - Longitude do centro do raio
+ * @param {number} [criteria.raio] - Raio em quilômetros
+ * @param {Array<string>} [criteria.status] - Estados de atividade (em_movimento, parado, garagem, sem_sinal)
+ * @returns {Function} Predicado (ônibus) => boolean
+ */
+export function createBusFilter({ linhas, ordens, bbox, lat, lon, raio, status } = {}) {
+  const tests = [];
+
+  if (linhas?.length) {
+    const set = new Set(linhas.map(linha => linha.toString().trim().toLowerCase()));
+    tests.push(bus => set.has(bus.linha?.toString().trim().toLowerCase()));
+  }
+
+  if (ordens?.length) {
+    const set = new Set(ordens.map(ordem => ordem.toString().trim()));
+    tests.push(bus => set.has(bus.ordem));
+  }
+
+  if (bbox) {
+    const [minLon, minLat, maxLon, maxLat] = bbox;
+    tests.push(bus =>
+      bus.latitude >= minLat && bus.latitude <= maxLat && bus.longitude >= minLon && bus.longitude <= maxLon
+    );
+  }
+
+  if (Number.isFinite(lat) && Number.isFinite(lon) && raio > 0) {
+    tests.push(bus =>
+      Boolean(bus.latitude && bus.longitude) && haversineKm(lat, lon, bus.latitude, bus.longitude) <= raio
+    );
+  }
+
+  if (status?.length) {
+    const set = new Set(status);
+    tests.push(bus => set.has(bus.status));
+  }
+
+  return bus => tests.every(test => test(bus));
+}
+
+/**
+ * Chave que identifica os critérios de um filtro: filtros equivalentes (mesmos
+ * valores, em qualquer ordem) compartilham o recorte de cada diferença
+ * @param {Object} criteria - Critérios no formato de `createBusFilter`
+ * @returns {string} Chave do filtro
+ */
+export function busFilterKey({ linhas, ordens, bbox, lat, lon, raio, status } = {}) {
+  const sorted = values => (values?.length ? [...values].sort() : null);
+  return JSON.stringify([sorted(linhas), sorted(ordens), bbox ?? null, lat ?? null, lon ?? null, raio ?? null, sorted(status)]);
+}
@@ -0,0 +1,137 @@
+export const CircuitState = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+});
+
+/**
+ * Erro lançado quando o circuito está aberto e a chamada não é executada
+ */
+export class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`Circuito ${name} aberto: upstream indisponível, nova tentativa após ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.statusCode = 503;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Circuit breaker: interrompe chamadas a um upstream após falhas consecutivas
+ * e libera uma chamada de teste (meio-aberto) depois do tempo de espera
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - Opções do circuito
+   * @param {string} options.name - Nome do circuito (para logs e erros)
+   * @param {number} options.failureThreshold - Falhas consecutivas para abrir o circuito
+   * @param {number} options.resetTimeout - Tempo em ms com o circuito aberto antes do teste
+   * @param {Function} [options.onStateChange] - Chamado a cada transição (state, previousState)
+   */
+  constructor({ name, failureThreshold = 5, resetTimeout = 60000, onStateChange }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.onStateChange = onStateChange;
+
+    this.state = CircuitState.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Executa a função protegida pelo circuito
+   * @param {Function} fn - Função assíncrona
+   * @returns {Promise<*>} Resultado da função
+   */
+  async execute(fn) {
+    if (this.state === CircuitState.OPEN) {
+      if (Date.now() - this.openedAt < this.resetTimeout) {
+        throw new CircuitOpenError(this.name, this.openedAt + this.resetTimeout);
+      }
+      this.transition(CircuitState.HALF_OPEN);
+    }
+
+    // No estado meio-aberto apenas uma chamada de teste passa por vez
+    const trial = this.state === CircuitState.HALF_OPEN;
+    if (trial) {
+      if (this.trialInFlight) {
+        throw new CircuitOpenError(this.name, Date.now() + this.resetTimeout);
+      }
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess(trial);
+      return result;
+    } catch (error) {
+      this.recordFailure(error, trial);
+      throw error;
+    } finally {
+      // Só a chamada de teste libera a vaga: chamadas lentas iniciadas com o circuito fechado não interferem
+      if (trial) {
+        this.trialInFlight = false;
+      }
+    }
+  }
+
+  /**
+   * Registra uma chamada bem-sucedida
+   * @param {boolean} trial - Chamada de teste do estado meio-aberto
+   */
+  recordSuccess(trial) {
+    if (trial) {
+      this.consecutiveFailures = 0;
+      this.openedAt = null;
+      this.transition(CircuitState.CLOSED);
+    } else if (this.state === CircuitState.CLOSED) {
+      this.consecutiveFailures = 0;
+    }
+  }
+
+  /**
+   * Registra uma chamada com falha
+   * @param {Error} error - Erro da chamada
+   * @param {boolean} trial - Chamada de teste do estado meio-aberto
+   */
+  recordFailure(error, trial) {
+    this.consecutiveFailures++;
+    this.lastFailure = {
+      mensagem: error.message,
+      em: new Date().toISOString()
+    };
+
+    if (trial || (this.state === CircuitState.CLOSED && this.consecutiveFailures >= this.failureThreshold)) {
+      this.openedAt = Date.now();
+      this.transition(CircuitState.OPEN);
+    }
+  }
+
+  transition(state) {
+    const previousState = this.state;
+    if (previousState === state) {
+      return;
+    }
+    this.state = state;
+    this.onStateChange?.(state, previousState);
+  }
+
+  /**
+   * Obtém o estado atual do circuito
+   * @returns {Object} Estado do circuito
+   */
+  getState() {
+    return {
+      estado: this.state,
+      falhasConsecutivas: this.consecutiveFailures,
+      ultimaFalha: this.lastFailure,
+      abertoEm: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      proximaTentativa: this.state === CircuitState.OPEN
+        ? new Date(this.openedAt + this.resetTimeout).toISOString()
+        : null
+    };
+  }
+}
@@ -0,0 +1,129 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { CircuitBreaker, CircuitOpenError, CircuitState } from './circuitBreaker.js';
+
+const fail = () => Promise.reject(new Error('upstream fora do ar'));
+const succeed = () => Promise.resolve('ok');
+
+// Promessa resolvida ou rejeitada manualmente, para simular chamadas lentas
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('CircuitBreaker', () => {
+  let breaker;
+  let transitions;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    transitions = [];
+    breaker = new CircuitBreaker({
+      name: 'teste',
+      failureThreshold: 2,
+      resetTimeout: 1000,
+      onStateChange: (state, previous) => transitions.push(`${previous}->${state}`)
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  async function open() {
+    await expect(breaker.execute(fail)).rejects.toThrow('upstream fora do ar');
+    await expect(breaker.execute(fail)).rejects.toThrow('upstream fora do ar');
+  }
+
+  test('abre após falhas consecutivas', async () => {
+    await expect(breaker.execute(fail)).rejects.toThrow();
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+
+    await expect(breaker.execute(fail)).rejects.toThrow();
+    expect(breaker.state).toBe(CircuitState.OPEN);
+    expect(transitions).toEqual(['closed->open']);
+  });
+
+  test('um sucesso zera as falhas consecutivas', async () => {
+    await expect(breaker.execute(fail)).rejects.toThrow();
+    await breaker.execute(succeed);
+    await expect(breaker.execute(fail)).rejects.toThrow();
+
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+  });
+
+  test('rejeita chamadas com o circuito aberto sem executá-las', async () => {
+    await open();
+    const fn = jest.fn(succeed);
+
+    await expect(breaker.execute(fn)).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  test('fecha quando a chamada de teste tem sucesso', async () => {
+    await open();
+    jest.advanceTimersByTime(1000);
+
+    await expect(breaker.execute(succeed)).resolves.toBe('ok');
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+    expect(transitions).toEqual(['closed->open', 'open->half-open', 'half-open->closed']);
+  });
+
+  test('reabre quando a chamada de teste falha', async () => {
+    await open();
+    jest.advanceTimersByTime(1000);
+
+    await expect(breaker.execute(fail)).rejects.toThrow('upstream fora do ar');
+    expect(breaker.state).toBe(CircuitState.OPEN);
+    expect(transitions).toEqual(['closed->open', 'open->half-open', 'half-open->open']);
+  });
+
+  test('libera apenas uma chamada de teste por vez', async () => {
+    await open();
+    jest.advanceTimersByTime(1000);
+
+    const trial = deferred();
+    const pending = breaker.execute(() => trial.promise);
+    await expect(breaker.execute(succeed)).rejects.toBeInstanceOf(CircuitOpenError);
+
+    trial.resolve('ok');
+    await expect(pending).resolves.toBe('ok');
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+  });
+
+  test('uma chamada lenta iniciada com o circuito fechado não decide o teste', async () => {
+    const slow = deferred();
+    const slowCall = breaker.execute(() => slow.promise);
+    await open();
+    jest.advanceTimersByTime(1000);
+
+    const trial = deferred();
+    const trialCall = breaker.execute(() => trial.promise);
+
+    // A chamada antiga termina durante o teste: não fecha o circuito nem libera a vaga
+    slow.resolve('atrasado');
+    await expect(slowCall).resolves.toBe('atrasado');
+    expect(breaker.state).toBe(CircuitState.HALF_OPEN);
+    expect(breaker.trialInFlight).toBe(true);
+    await expect(breaker.execute(succeed)).rejects.toBeInstanceOf(CircuitOpenError);
+
+    trial.reject(new Error('ainda fora'));
+    await expect(trialCall).rejects.toThrow('ainda fora');
+    expect(breaker.state).toBe(CircuitState.OPEN);
+    expect(breaker.trialInFlight).toBe(false);
+  });
+
+  test('getState informa a próxima tentativa com o circuito aberto', async () => {
+    await open();
+    const state = breaker.getState();
+
+    expect(state.estado).toBe('open');
+    expect(state.falhasConsecutivas).toBe(2);
+    expect(state.ultimaFalha.mensagem).toBe('upstream fora do ar');
+    expect(Date.parse(state.proximaTentativa) - Date.parse(state.abertoEm)).toBe(1000);
+  });
+});
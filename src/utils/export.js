@@ -0,0 +1,104 @@
+// Colunas disponíveis para exportação (campos dos ônibus normalizados)
+export const EXPORT_COLUMNS = [
+  'ordem',
+  'linha',
+  'latitude',
+  'longitude',
+  'velocidade',
+  'velocidadeCalculada',
+  'rumo',
+  'distanciaPercorrida',
+  'status',
+  'dataHora',
+  'datahoraenvio',
+  'datahoraservidor'
+];
+
+export const DEFAULT_EXPORT_COLUMNS = ['linha', 'ordem', 'velocidade', 'latitude', 'longitude', 'dataHora'];
+
+// Linhas agrupadas por chunk escrito na resposta
+const ROWS_PER_CHUNK = 500;
+
+/**
+ * Interpreta a lista de colunas pedida (`campos=ordem,linha,...`)
+ * @param {string} [value] - Colunas separadas por vírgula
+ * @returns {{ columns: Array<string>, invalid: Array<string> }} Colunas válidas e inválidas
+ */
+export function parseColumns(value) {
+  if (!value) {
+    return { columns: DEFAULT_EXPORT_COLUMNS, invalid: [] };
+  }
+
+  const requested = value.split(',').map(column => column.trim()).filter(Boolean);
+  return {
+    columns: [...new Set(requested.filter(column => EXPORT_COLUMNS.includes(column)))],
+    invalid: requested.filter(column => !EXPORT_COLUMNS.includes(column))
+  };
+}
+
+/**
+ * Escapa um valor para CSV (RFC 4180): aspas, vírgulas e quebras de linha exigem aspas duplas
+ * @param {*} value - Valor da célula
+ * @returns {string} Célula escapada
+ */
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Gera o CSV em chunks, sem montar o arquivo inteiro em memória
+ * @param {Array} buses - Ônibus a exportar
+ * @param {Array<string>} columns - Colunas
+ * @returns {Generator<string>} Chunks do CSV
+ */
+export function* csvChunks(buses, columns) {
+  yield `${columns.join(',')}\r\n`;
+
+  let chunk = '';
+  let rows = 0;
+  for (const bus of buses) {
+    chunk += `${columns.map(column => escapeCsvValue(bus[column])).join(',')}\r\n`;
+    if (++rows === ROWS_PER_CHUNK) {
+      yield chunk;
+      chunk = '';
+      rows = 0;
+    }
+  }
+  if (chunk) {
+    yield chunk;
+  }
+}
+
+/**
+ * Gera o NDJSON (um objeto JSON por linha) em chunks
+ * @param {Array} buses - Ônibus a exportar
+ * @param {Array<string>} columns - Colunas
+ * @returns {Generator<string>} Chunks do NDJSON
+ */
+export function* ndjsonChunks(buses, columns) {
+  let chunk = '';
+  let rows = 0;
+  for (const bus of buses) {
+    const record = {};
+    for (const column of columns) {
+      record[column] = bus[column] ?? null;
+    }
+    chunk += `${JSON.stringify(record)}\n`;
+    if (++rows === ROWS_PER_CHUNK) {
+      yield chunk;
+      chunk = '';
+      rows = 0;
+    }
+  }
+  if (chunk) {
+    yield chunk;
+  }
+}
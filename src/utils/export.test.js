@@ -0,0 +1,67 @@
+import { describe, test, expect } from '@jest/globals';
+import { parseColumns, escapeCsvValue, csvChunks, ndjsonChunks, DEFAULT_EXPORT_COLUMNS } from './export.js';
+
+describe('escapeCsvValue', () => {
+  test('mantém valores simples sem aspas', () => {
+    expect(escapeCsvValue('A12345')).toBe('A12345');
+    expect(escapeCsvValue(-22.9)).toBe('-22.9');
+    expect(escapeCsvValue(0)).toBe('0');
+    expect(escapeCsvValue(false)).toBe('false');
+  });
+
+  test('converte nulos em célula vazia', () => {
+    expect(escapeCsvValue(null)).toBe('');
+    expect(escapeCsvValue(undefined)).toBe('');
+  });
+
+  test.each([
+    ['Centro, Rio', '"Centro, Rio"'],
+    ['linha "expressa"', '"linha ""expressa"""'],
+    ['a\nb', '"a\nb"'],
+    ['a\r\nb', '"a\r\nb"'],
+    ['"', '""""']
+  ])('coloca entre aspas %j', (value, expected) => {
+    expect(escapeCsvValue(value)).toBe(expected);
+  });
+
+  test('serializa objetos como JSON escapado', () => {
+    expect(escapeCsvValue(['duplicado', 'salto'])).toBe('"[""duplicado"",""salto""]"');
+  });
+});
+
+describe('parseColumns', () => {
+  test('usa as colunas padrão sem parâmetro', () => {
+    expect(parseColumns()).toEqual({ columns: DEFAULT_EXPORT_COLUMNS, invalid: [] });
+  });
+
+  test('separa colunas inválidas e remove repetidas', () => {
+    expect(parseColumns(' ordem,linha,,ordem,senha ')).toEqual({ columns: ['ordem', 'linha'], invalid: ['senha'] });
+  });
+});
+
+describe('csvChunks', () => {
+  test('gera cabeçalho e linhas terminadas em CRLF', () => {
+    const csv = [...csvChunks([
+      { ordem: 'A1', linha: '232', velocidade: 10 },
+      { ordem: 'B2', linha: 'SV, 232', velocidade: null }
+    ], ['ordem', 'linha', 'velocidade'])].join('');
+
+    expect(csv).toBe('ordem,linha,velocidade\r\nA1,232,10\r\nB2,"SV, 232",\r\n');
+  });
+
+  test('agrupa as linhas em chunks', () => {
+    const buses = Array.from({ length: 1200 }, (_, index) => ({ ordem: `A${index}` }));
+    const chunks = [...csvChunks(buses, ['ordem'])];
+
+    expect(chunks).toHaveLength(4); // cabeçalho + 500 + 500 + 200
+    expect(chunks.join('').split('\r\n')).toHaveLength(1202);
+  });
+});
+
+describe('ndjsonChunks', () => {
+  test('gera um objeto por linha com as colunas pedidas', () => {
+    const lines = [...ndjsonChunks([{ ordem: 'A1', linha: '232', extra: 1 }], ['ordem', 'velocidade'])].join('');
+
+    expect(lines).toBe('{"ordem":"A1","velocidade":null}\n');
+  });
+});
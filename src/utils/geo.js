@@ -0,0 +1,146 @@
+export const EARTH_RADIUS_KM = 6371;
+export const DEG_TO_RAD = Math.PI / 180;
+
+// Quilômetros por grau de latitude (e de longitude no equador)
+export const KM_PER_DEGREE = EARTH_RADIUS_KM * DEG_TO_RAD;
+
+/**
+ * Distância entre dois pontos pela fórmula de Haversine
+ * @param {number} lat1 - Latitude do primeiro ponto
+ * @param {number} lon1 - Longitude do primeiro ponto
+ * @param {number} lat2 - Latitude do segundo ponto
+ * @param {number} lon2 - Longitude do segundo ponto
+ * @returns {number} Distância em quilômetros
+ */
+export function haversineKm(lat1, lon1, lat2, lon2) {
+  const dLat = (lat2 - lat1) * DEG_TO_RAD;
+  const dLon = (lon2 - lon1) * DEG_TO_RAD;
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * DEG_TO_RAD) * Math.cos(lat2 * DEG_TO_RAD) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Rumo inicial (azimute) de um ponto a outro
+ * @param {number} lat1 - Latitude de origem
+ * @param {number} lon1 - Longitude de origem
+ * @param {number} lat2 - Latitude de destino
+ * @param {number} lon2 - Longitude de destino
+ * @returns {number} Rumo em graus, de 0 (norte) a 360, no sentido horário
+ */
+export function bearingDegrees(lat1, lon1, lat2, lon2) {
+  const phi1 = lat1 * DEG_TO_RAD;
+  const phi2 = lat2 * DEG_TO_RAD;
+  const dLon = (lon2 - lon1) * DEG_TO_RAD;
+
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+
+  return (Math.atan2(y, x) / DEG_TO_RAD + 360) % 360;
+}
+
+/**
+ * Meia-largura em graus de um raio em torno de uma latitude
+ * @param {number} lat - Latitude do centro
+ * @param {number} radiusKm - Raio em quilômetros
+ * @returns {{ dLat: number, dLon: number }} Deltas de latitude e longitude em graus
+ */
+export function radiusToDegrees(lat, radiusKm) {
+  const cosLat = Math.max(Math.cos(lat * DEG_TO_RAD), 0.01);
+  return {
+    dLat: radiusKm / KM_PER_DEGREE,
+    dLon: radiusKm / (KM_PER_DEGREE * cosLat)
+  };
+}
+
+/**
+ * Verifica se um ponto está dentro de um anel (ray casting)
+ * @param {number} lon - Longitude do ponto
+ * @param {number} lat - Latitude do ponto
+ * @param {Array<Array<number>>} ring - Anel GeoJSON ([lon, lat][])
+ * @returns {boolean} Ponto dentro do anel
+ */
+export function pointInRing(lon, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Verifica se um ponto está dentro de um polígono GeoJSON (anel externo menos os buracos)
+ * @param {number} lon - Longitude do ponto
+ * @param {number} lat - Latitude do ponto
+ * @param {Array} rings - Coordenadas de um Polygon
+ * @returns {boolean} Ponto dentro do polígono
+ */
+export function pointInPolygon(lon, lat, rings) {
+  const [outer, ...holes] = rings;
+  if (!pointInRing(lon, lat, outer)) {
+    return false;
+  }
+  return !holes.some(hole => pointInRing(lon, lat, hole));
+}
+
+/**
+ * Verifica se um ponto está dentro de uma geometria Polygon ou MultiPolygon
+ * @param {number} lon - Longitude do ponto
+ * @param {number} lat - Latitude do ponto
+ * @param {Object} geometry - Geometria GeoJSON
+ * @returns {boolean} Ponto dentro da geometria
+ */
+export function pointInGeometry(lon, lat, geometry) {
+  if (geometry.type === 'Polygon') {
+    return pointInPolygon(lon, lat, geometry.coordinates);
+  }
+  return geometry.coordinates.some(polygon => pointInPolygon(lon, lat, polygon));
+}
+
+/**
+ * Retângulo envolvente de uma geometria Polygon ou MultiPolygon
+ * @param {Object} geometry - Geometria GeoJSON
+ * @returns {Array<number>} [minLon, minLat, maxLon, maxLat]
+ */
+export function geometryBBox(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+
+  for (const polygon of polygons) {
+    // Os buracos estão contidos no anel externo
+    for (const [lon, lat] of polygon[0]) {
+      bbox[0] = Math.min(bbox[0], lon);
+      bbox[1] = Math.min(bbox[1], lat);
+      bbox[2] = Math.max(bbox[2], lon);
+      bbox[3] = Math.max(bbox[3], lat);
+    }
+  }
+  return bbox;
+}
+
+/**
+ * Interpreta um retângulo no formato "minLon,minLat,maxLon,maxLat"
+ * @param {string} value - Retângulo em texto
+ * @returns {Array<number>|null} [minLon, minLat, maxLon, maxLat] ou null se inválido
+ */
+export function parseBBox(value) {
+  const parts = String(value).split(',').map(part => parseFloat(part.trim()));
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) {
+    return null;
+  }
+
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  const valid =
+    minLon >= -180 && maxLon <= 180 && minLon < maxLon &&
+    minLat >= -90 && maxLat <= 90 && minLat < maxLat;
+
+  return valid ? parts : null;
+}
@@ -0,0 +1,44 @@
+export const GEOJSON_MEDIA_TYPE = 'application/geo+json';
+
+/**
+ * Verifica se o cliente pediu GeoJSON (`?formato=geojson` ou `Accept: application/geo+json`)
+ * @param {Object} req - Objeto de requisição
+ * @returns {boolean} Resposta deve ser GeoJSON
+ */
+export function wantsGeoJson(req) {
+  if (req.query.formato) {
+    return req.query.formato === 'geojson';
+  }
+  return req.accepts(['application/json', GEOJSON_MEDIA_TYPE]) === GEOJSON_MEDIA_TYPE;
+}
+
+/**
+ * Converte um ônibus em uma Feature GeoJSON do tipo Point
+ * @param {Object} bus - Ônibus normalizado
+ * @returns {Object} Feature com as demais informações do ônibus em `properties`
+ */
+export function toFeature(bus) {
+  const { latitude, longitude, ...properties } = bus;
+  const hasPosition = Number.isFinite(latitude) && Number.isFinite(longitude);
+
+  return {
+    type: 'Feature',
+    id: bus.ordem,
+    geometry: hasPosition ? { type: 'Point', coordinates: [longitude, latitude] } : null,
+    properties
+  };
+}
+
+/**
+ * Converte uma lista de ônibus em uma FeatureCollection GeoJSON
+ * @param {Array} buses - Ônibus normalizados
+ * @param {Object} meta - Bloco meta da resposta, incluído como membro externo
+ * @returns {Object} FeatureCollection
+ */
+export function toFeatureCollection(buses, meta) {
+  return {
+    type: 'FeatureCollection',
+    features: buses.map(toFeature),
+    meta
+  };
+}
@@ -0,0 +1,82 @@
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+
+const { transit_realtime: transitRealtime } = GtfsRealtimeBindings;
+
+export const GTFS_RT_MEDIA_TYPE = 'application/x-protobuf';
+
+/**
+ * Monta um FeedMessage GTFS-Realtime (VehiclePositions) a partir dos ônibus normalizados
+ *
+ * Cada veículo vira uma entidade identificada pelo número de ordem; a linha SPPO
+ * é informada como `route_id`, já que o feed não traz identificadores de viagem.
+ *
+ * @param {Array} buses - Ônibus normalizados
+ * @param {number} feedTimestamp - Momento da busca na fonte (ms)
+ * @returns {Object} FeedMessage
+ */
+export function buildVehiclePositionsFeed(buses, feedTimestamp) {
+  // Ids de entidade devem ser únicos no feed: manter o relato mais recente de cada veículo
+  const latest = new Map();
+  for (const bus of buses) {
+    if (!bus.ordem || !Number.isFinite(bus.latitude) || !Number.isFinite(bus.longitude) || !bus.latitude || !bus.longitude) {
+      continue;
+    }
+    const current = latest.get(bus.ordem);
+    if (!current || Date.parse(bus.dataHora) > Date.parse(current.dataHora)) {
+      latest.set(bus.ordem, bus);
+    }
+  }
+
+  const entity = [];
+  for (const bus of latest.values()) {
+    const position = {
+      latitude: bus.latitude,
+      longitude: bus.longitude,
+      speed: (bus.velocidade || 0) / 3.6 // km/h → m/s
+    };
+    if (Number.isFinite(bus.rumo)) {
+      position.bearing = bus.rumo;
+    }
+
+    const reportTime = Date.parse(bus.dataHora);
+    entity.push({
+      id: String(bus.ordem),
+      vehicle: {
+        trip: bus.linha ? { routeId: String(bus.linha) } : undefined,
+        vehicle: { id: String(bus.ordem), label: String(bus.ordem) },
+        position,
+        timestamp: Number.isNaN(reportTime) ? undefined : Math.floor(reportTime / 1000)
+      }
+    });
+  }
+
+  return transitRealtime.FeedMessage.fromObject({
+    header: {
+      gtfsRealtimeVersion: '2.0',
+      incrementality: 'FULL_DATASET',
+      timestamp: Math.floor(feedTimestamp / 1000)
+    },
+    entity
+  });
+}
+
+/**
+ * Codifica um FeedMessage em protobuf
+ * @param {Object} message - FeedMessage
+ * @returns {Buffer} Feed codificado
+ */
+export function encodeFeed(message) {
+  return Buffer.from(transitRealtime.FeedMessage.encode(message).finish());
+}
+
+/**
+ * Representação legível de um FeedMessage, para depuração
+ * @param {Object} message - FeedMessage
+ * @returns {Object} Objeto JSON com enums como texto
+ */
+export function feedToObject(message) {
+  return transitRealtime.FeedMessage.toObject(message, {
+    enums: String,
+    longs: Number
+  });
+}
@@ -0,0 +1,70 @@
+/**
+ * Guarda o último reporte conhecido de cada veículo entre snapshots
+ *
+ * Diferente do snapshot, que só contém os veículos presentes no feed, o
+ * rastreador mantém também os que deixaram de aparecer (GPS desligado ou com
+ * defeito) até `retentionHours` depois do último reporte.
+ */
+export class LastSeenTracker {
+  /**
+   * @param {Object} options - Opções do rastreador
+   * @param {number} options.retentionHours - Tempo que um veículo ausente continua sendo acompanhado
+   */
+  constructor({ retentionHours }) {
+    this.retentionMs = retentionHours * 3600000;
+    this.vehicles = new Map(); // Map<ordem, { bus, time, seenAt }>
+    this.lastUpdate = null; // Horário do último snapshot registrado (ms)
+  }
+
+  /**
+   * Registra os reportes de um snapshot
+   * @param {Array} buses - Registros do snapshot
+   * @param {number} fetchedAt - Horário do snapshot (ms)
+   */
+  update(buses, fetchedAt) {
+    for (const bus of buses) {
+      const time = Date.parse(bus.dataHora);
+      if (!bus.ordem || Number.isNaN(time)) {
+        continue;
+      }
+
+      // Um reporte atrasado não substitui o último conhecido, mas o veículo continua presente no feed
+      const known = this.vehicles.get(bus.ordem);
+      if (known && known.time > time) {
+        known.seenAt = fetchedAt;
+        continue;
+      }
+      this.vehicles.set(bus.ordem, { bus, time, seenAt: fetchedAt });
+    }
+
+    this.lastUpdate = fetchedAt;
+
+    for (const [ordem, { time }] of this.vehicles) {
+      if (fetchedAt - time > this.retentionMs) {
+        this.vehicles.delete(ordem);
+      }
+    }
+  }
+
+  /**
+   * Lista os veículos cujo último reporte é anterior a um instante
+   * @param {number} limit - Timestamp limite (ms)
+   * @returns {Array<{ bus: Object, time: number, seenAt: number, presente: boolean }>} Veículos,
+   *   com `presente` indicando se ainda aparecem no snapshot mais recente
+   */
+  reportedBefore(limit) {
+    const result = [];
+    for (const entry of this.vehicles.values()) {
+      if (entry.time < limit) {
+        result.push({ ...entry, presente: entry.seenAt === this.lastUpdate });
+      }
+    }
+    return result;
+  }
+
+  get size() {
+    return this.vehicles.size;
+  }
+}
+
+export default LastSeenTracker;
@@ -0,0 +1,234 @@
+import crypto from 'crypto';
+import { EXPORT_COLUMNS } from './export.js';
+
+// Campos aceitos em `ordenar` e `campos` (inclui os campos calculados da busca por proximidade, da qualidade e dos veículos sem sinal)
+export const LIST_FIELDS = [
+  ...EXPORT_COLUMNS,
+  'distanciaKm',
+  'azimute',
+  'qualidade',
+  'minutosSemSinal',
+  'presenteNoFeed',
+  'vistoNoFeedEm'
+];
+
+export const DEFAULT_PAGE_LIMIT = 100;
+export const MAX_PAGE_LIMIT = 1000;
+
+/**
+ * Resumo curto de uma consulta (filtros e ordenação) para comparar cursores
+ * @param {string} queryKey - Identificação da consulta
+ * @returns {string} Hash da consulta
+ */
+function hashQuery(queryKey) {
+  return crypto.createHash('sha1').update(queryKey).digest('hex').substring(0, 16);
+}
+
+/**
+ * Codifica a posição de uma página em um cursor opaco
+ *
+ * O cursor guarda, além do offset, o snapshot e a consulta em que foi gerado:
+ * offsets só valem para a mesma lista, na mesma ordem.
+ *
+ * @param {number} offset - Índice do primeiro item da página
+ * @param {string|null} snapshotId - Snapshot da lista paginada
+ * @param {string} queryKey - Identificação da consulta (filtros e ordenação)
+ * @returns {string} Cursor (base64url)
+ */
+export function encodeCursor(offset, snapshotId, queryKey) {
+  return Buffer.from(JSON.stringify({ o: offset, s: snapshotId, q: hashQuery(queryKey) })).toString('base64url');
+}
+
+/**
+ * Decodifica um cursor gerado por `encodeCursor`
+ * @param {string} cursor - Cursor recebido
+ * @returns {{ offset: number, snapshotId: string|null, query: string }|null} Posição ou null se o cursor for inválido
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { o, s, q } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isInteger(o) || o < 0 || typeof q !== 'string') {
+      return null;
+    }
+    return { offset: o, snapshotId: s ?? null, query: q };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Interpreta o tamanho da página pedido
+ * @param {number|string} [value] - Valor de `limit`
+ * @returns {number|null} Tamanho da página ou null se inválido
+ */
+export function parseLimit(value) {
+  if (value === undefined) {
+    return DEFAULT_PAGE_LIMIT;
+  }
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit >= 1 && limit <= MAX_PAGE_LIMIT ? limit : null;
+}
+
+/**
+ * Interpreta a ordenação pedida (`ordenar=velocidade:desc,linha`)
+ * @param {string} [value] - Critérios separados por vírgula, cada um `campo[:asc|desc]`
+ * @returns {{ criteria: Array<{ field: string, desc: boolean }>, invalid: Array<string> }} Critérios válidos e inválidos
+ */
+export function parseSort(value) {
+  const criteria = [];
+  const invalid = [];
+
+  for (const item of (value || '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const [field, direction = 'asc'] = item.split(':');
+    if (!LIST_FIELDS.includes(field) || !['asc', 'desc'].includes(direction.toLowerCase())) {
+      invalid.push(item);
+      continue;
+    }
+    criteria.push({ field, desc: direction.toLowerCase() === 'desc' });
+  }
+
+  return { criteria, invalid };
+}
+
+/**
+ * Interpreta os campos pedidos (`campos=ordem,linha,latitude,longitude`)
+ * @param {string} [value] - Campos separados por vírgula
+ * @returns {{ fields: Array<string>|null, invalid: Array<string> }} Campos (null = todos) e inválidos
+ */
+export function parseFields(value) {
+  if (!value) {
+    return { fields: null, invalid: [] };
+  }
+
+  const requested = value.split(',').map(field => field.trim()).filter(Boolean);
+  return {
+    fields: [...new Set(requested.filter(field => LIST_FIELDS.includes(field)))],
+    invalid: requested.filter(field => !LIST_FIELDS.includes(field))
+  };
+}
+
+/**
+ * Compara dois valores para ordenação: números numericamente, textos com localeCompare;
+ * valores ausentes ficam sempre no fim
+ */
+function compareValues(a, b) {
+  const missingA = a === null || a === undefined;
+  const missingB = b === null || b === undefined;
+  if (missingA || missingB) {
+    return missingA - missingB;
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return String(a).localeCompare(String(b), 'pt-BR', { numeric: true });
+}
+
+/**
+ * Ordena uma lista sem alterar a original (ordenação estável)
+ * @param {Array} items - Itens
+ * @param {Array<{ field: string, desc: boolean }>} criteria - Critérios de ordenação
+ * @returns {Array} Lista ordenada
+ */
+export function sortItems(items, criteria) {
+  if (criteria.length === 0) {
+    return items;
+  }
+
+  return [...items].sort((a, b) => {
+    for (const { field, desc } of criteria) {
+      const missing = a[field] === null || a[field] === undefined || b[field] === null || b[field] === undefined;
+      const result = compareValues(a[field], b[field]);
+      if (result !== 0) {
+        // Ausentes no fim também na ordem decrescente
+        return desc && !missing ? -result : result;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * Mantém apenas os campos pedidos de um item
+ * @param {Object} item - Item completo
+ * @param {Array<string>} fields - Campos
+ * @returns {Object} Item reduzido
+ */
+export function pickFields(item, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (item[field] !== undefined) {
+      picked[field] = item[field];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Aplica ordenação, paginação por cursor e seleção de campos a uma lista
+ * @param {Array} items - Lista completa
+ * @param {Object} query - Parâmetros da requisição
+ * @param {string} [query.ordenar] - Critérios de ordenação
+ * @param {string} [query.campos] - Campos retornados
+ * @param {number|string} [query.limit] - Tamanho da página
+ * @param {string} [query.cursor] - Cursor da página
+ * @param {Object} [context] - Origem da lista
+ * @param {string|null} [context.snapshotId] - Snapshot do qual a lista foi montada
+ * @param {string} [context.queryKey] - Identificação da consulta (filtros e ordenação)
+ * @returns {{ data: Array, pagination: Object|null, error: string|null, status?: number }} Página e dados de paginação
+ *   (`pagination` é null quando nem `limit` nem `cursor` foram informados); em caso de erro, `status` é 400,
+ *   ou 409 quando o cursor é de um snapshot anterior
+ */
+export function applyListQuery(items, { ordenar, campos, limit, cursor } = {}, { snapshotId = null, queryKey = '' } = {}) {
+  const sort = parseSort(ordenar);
+  if (sort.invalid.length > 0) {
+    return { error: `Critério de ordenação inválido: ${sort.invalid.join(', ')}. Use campo[:asc|desc] com campos ${LIST_FIELDS.join(', ')}`, status: 400 };
+  }
+
+  const selection = parseFields(campos);
+  if (selection.invalid.length > 0 || selection.fields?.length === 0) {
+    return { error: `Parâmetro campos inválido${selection.invalid.length ? `: ${selection.invalid.join(', ')}` : ''}. Campos disponíveis: ${LIST_FIELDS.join(', ')}`, status: 400 };
+  }
+
+  const pageLimit = parseLimit(limit);
+  if (pageLimit === null) {
+    return { error: `Parâmetro limit inválido: use um inteiro de 1 a ${MAX_PAGE_LIMIT}`, status: 400 };
+  }
+
+  let offset = 0;
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (position === null) {
+      return { error: 'Cursor inválido', status: 400 };
+    }
+    if (position.query !== hashQuery(queryKey)) {
+      return { error: 'Cursor inválido: gerado para outra consulta (filtros ou ordenação diferentes)', status: 400 };
+    }
+    // Com um novo snapshot os offsets apontam para outros ônibus: a paginação precisa recomeçar
+    if (position.snapshotId !== snapshotId) {
+      return { error: 'Cursor expirado: os dados foram atualizados desde a página anterior. Refaça a consulta sem cursor', status: 409 };
+    }
+    offset = position.offset;
+  }
+
+  let data = sortItems(items, sort.criteria);
+  let pagination = null;
+
+  if (limit !== undefined || cursor) {
+    const end = offset + pageLimit;
+
+    data = data.slice(offset, end);
+    pagination = {
+      limit: pageLimit,
+      retornados: data.length,
+      cursor: cursor || null,
+      proximoCursor: end < items.length ? encodeCursor(end, snapshotId, queryKey) : null,
+      cursorAnterior: offset > 0 ? encodeCursor(Math.max(offset - pageLimit, 0), snapshotId, queryKey) : null
+    };
+  }
+
+  if (selection.fields) {
+    data = data.map(item => pickFields(item, selection.fields));
+  }
+
+  return { data, pagination, error: null };
+}
@@ -0,0 +1,136 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  applyListQuery,
+  decodeCursor,
+  encodeCursor,
+  parseFields,
+  parseLimit,
+  parseSort,
+  sortItems,
+  DEFAULT_PAGE_LIMIT
+} from './listQuery.js';
+
+const buses = [
+  { ordem: 'A3', linha: '232', velocidade: 30 },
+  { ordem: 'A1', linha: '10', velocidade: null },
+  { ordem: 'A2', linha: '232', velocidade: 45 },
+  { ordem: 'A4', linha: '2', velocidade: 0 }
+];
+
+const context = { snapshotId: '1000', queryKey: 'GET /api/sppo' };
+
+describe('parseSort', () => {
+  test('interpreta campo e direção', () => {
+    expect(parseSort('velocidade:desc, linha,ordem:ASC')).toEqual({
+      criteria: [{ field: 'velocidade', desc: true }, { field: 'linha', desc: false }, { field: 'ordem', desc: false }],
+      invalid: []
+    });
+  });
+
+  test('separa campos e direções inválidos', () => {
+    expect(parseSort('senha,linha:cima').invalid).toEqual(['senha', 'linha:cima']);
+  });
+});
+
+describe('sortItems', () => {
+  const ordens = items => items.map(bus => bus.ordem);
+
+  test('ordena números numericamente e mantém ausentes no fim', () => {
+    expect(ordens(sortItems(buses, [{ field: 'velocidade', desc: false }]))).toEqual(['A4', 'A3', 'A2', 'A1']);
+    expect(ordens(sortItems(buses, [{ field: 'velocidade', desc: true }]))).toEqual(['A2', 'A3', 'A4', 'A1']);
+  });
+
+  test('ordena textos com números pela ordem natural e desempata pelo próximo critério', () => {
+    const sorted = sortItems(buses, [{ field: 'linha', desc: false }, { field: 'ordem', desc: true }]);
+    expect(ordens(sorted)).toEqual(['A4', 'A1', 'A3', 'A2']);
+  });
+
+  test('não altera a lista original', () => {
+    const copy = [...buses];
+    sortItems(buses, [{ field: 'ordem', desc: false }]);
+    expect(buses).toEqual(copy);
+  });
+});
+
+describe('parseFields', () => {
+  test('retorna null sem parâmetro e separa campos inválidos', () => {
+    expect(parseFields()).toEqual({ fields: null, invalid: [] });
+    expect(parseFields('ordem,linha,ordem,senha')).toEqual({ fields: ['ordem', 'linha'], invalid: ['senha'] });
+  });
+});
+
+describe('parseLimit', () => {
+  test('aceita inteiros de 1 ao máximo', () => {
+    expect(parseLimit(undefined)).toBe(DEFAULT_PAGE_LIMIT);
+    expect(parseLimit('1')).toBe(1);
+    expect(parseLimit('1000')).toBe(1000);
+  });
+
+  test.each(['0', '-5', '2.5', 'abc', '', '1001'])('recusa %j', value => {
+    expect(parseLimit(value)).toBeNull();
+  });
+});
+
+describe('cursor', () => {
+  test('guarda o offset, o snapshot e a consulta', () => {
+    const position = decodeCursor(encodeCursor(200, '1000', 'GET /api/sppo'));
+    expect(position).toMatchObject({ offset: 200, snapshotId: '1000' });
+  });
+
+  test.each(['', 'não-é-base64', Buffer.from('{"o":-1,"q":"x"}').toString('base64url'), Buffer.from('{"o":1}').toString('base64url')])(
+    'recusa cursor malformado %j',
+    cursor => {
+      expect(decodeCursor(cursor)).toBeNull();
+    }
+  );
+});
+
+describe('applyListQuery', () => {
+  test('retorna a lista inteira sem limit nem cursor', () => {
+    const page = applyListQuery(buses, {}, context);
+    expect(page.data).toHaveLength(4);
+    expect(page.pagination).toBeNull();
+  });
+
+  test('percorre as páginas com os cursores', () => {
+    const query = { ordenar: 'ordem', campos: 'ordem', limit: '3' };
+    const first = applyListQuery(buses, query, context);
+
+    expect(first.data).toEqual([{ ordem: 'A1' }, { ordem: 'A2' }, { ordem: 'A3' }]);
+    expect(first.pagination).toMatchObject({ limit: 3, retornados: 3, cursor: null, cursorAnterior: null });
+
+    const second = applyListQuery(buses, { ...query, cursor: first.pagination.proximoCursor }, context);
+    expect(second.data).toEqual([{ ordem: 'A4' }]);
+    expect(second.pagination.proximoCursor).toBeNull();
+
+    const back = applyListQuery(buses, { ...query, cursor: second.pagination.cursorAnterior }, context);
+    expect(back.data).toEqual(first.data);
+  });
+
+  test('recusa com 409 o cursor de outro snapshot', () => {
+    const { pagination } = applyListQuery(buses, { limit: '2' }, context);
+    const page = applyListQuery(buses, { limit: '2', cursor: pagination.proximoCursor }, { ...context, snapshotId: '2000' });
+
+    expect(page.status).toBe(409);
+    expect(page.error).toMatch(/Cursor expirado/);
+  });
+
+  test('recusa com 400 o cursor de outra consulta', () => {
+    const { pagination } = applyListQuery(buses, { limit: '2' }, context);
+    const page = applyListQuery(buses, { limit: '2', cursor: pagination.proximoCursor }, { ...context, queryKey: 'GET /api/sppo?linha=232' });
+
+    expect(page.status).toBe(400);
+  });
+
+  test.each([
+    [{ limit: '0' }, /limit inválido/],
+    [{ limit: '-1' }, /limit inválido/],
+    [{ ordenar: 'senha' }, /ordenação inválido/],
+    [{ campos: 'senha' }, /campos inválido/],
+    [{ cursor: 'x' }, /Cursor inválido/]
+  ])('recusa com 400 %j', (query, message) => {
+    const page = applyListQuery(buses, query, context);
+    expect(page.status).toBe(400);
+    expect(page.error).toMatch(message);
+  });
+});
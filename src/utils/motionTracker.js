@@ -0,0 +1,134 @@
+import { haversineKm, bearingDegrees } from './geo.js';
+
+// Deslocamento mínimo para atualizar o rumo (abaixo disso é ruído do GPS de um veículo parado)
+const MIN_BEARING_DISTANCE_KM = 0.01;
+
+// Veículos sem reporte há mais tempo que isso são esquecidos
+const FORGET_AFTER_MS = 60 * 60000;
+
+/**
+ * Verifica se um reporte tem os dados necessários para o cálculo de movimento
+ * @param {Object} bus - Registro normalizado
+ * @param {number} time - Horário do reporte (ms)
+ * @returns {boolean} Reporte utilizável
+ */
+function isTrackable(bus, time) {
+  return Boolean(bus.ordem) && !Number.isNaN(time) && Boolean(bus.latitude) && Boolean(bus.longitude);
+}
+
+/**
+ * Acompanha o último reporte de cada veículo e calcula o movimento entre reportes consecutivos
+ *
+ * A cada novo reporte de um veículo, acrescenta ao registro:
+ * - `rumo`: direção do deslocamento em graus (0 = norte, sentido horário);
+ * - `velocidadeCalculada`: velocidade média em km/h desde o reporte anterior;
+ * - `distanciaPercorrida`: distância em km desde o reporte anterior.
+ *
+ * Um reporte repetido (mesmo `dataHora`) recebe os mesmos valores do cálculo
+ * original; no primeiro reporte de um veículo os campos ficam null.
+ */
+export class MotionTracker {
+  constructor() {
+    this.fixes = new Map(); // Map<ordem, { time, latitude, longitude, motion }>
+  }
+
+  /**
+   * Calcula e acrescenta os campos de movimento aos registros de um snapshot
+   * @param {Array} buses - Registros normalizados (alterados no lugar)
+   * @param {Function} [accept] - Recebe o registro já com o movimento calculado e decide se ele passa a ser
+   *   o reporte anterior do veículo; recusados (ex.: saltos) não entram no cálculo dos reportes seguintes
+   * @returns {Array} Registros recusados por `accept`
+   */
+  apply(buses, accept = () => true) {
+    // Processar em ordem cronológica: a fonte pode trazer vários reportes do mesmo veículo
+    const ordered = buses
+      .map(bus => ({ bus, time: Date.parse(bus.dataHora) }))
+      .sort((a, b) => (a.time || 0) - (b.time || 0)); // Horários inválidos (NaN) no início
+
+    const rejected = [];
+    for (const { bus, time } of ordered) {
+      const motion = this.measure(bus, time);
+      Object.assign(bus, motion);
+      if (accept(bus)) {
+        this.record(bus, time, motion);
+      } else {
+        rejected.push(bus);
+      }
+    }
+
+    // Referência é o reporte mais recente, não o relógio (replays podem ter horários antigos)
+    const latest = ordered.findLast(({ time }) => !Number.isNaN(time));
+    if (latest) {
+      this.forget(latest.time - FORGET_AFTER_MS);
+    }
+    return rejected;
+  }
+
+  /**
+   * Calcula o movimento de um reporte em relação ao anterior, sem registrá-lo
+   * @param {Object} bus - Registro normalizado
+   * @param {number} time - Horário do reporte (ms)
+   * @returns {{ rumo: number|null, velocidadeCalculada: number|null, distanciaPercorrida: number|null }} Movimento
+   */
+  measure(bus, time) {
+    const empty = { rumo: null, velocidadeCalculada: null, distanciaPercorrida: null };
+    if (!isTrackable(bus, time)) {
+      return empty;
+    }
+
+    const previous = this.fixes.get(bus.ordem);
+    if (!previous) {
+      return empty;
+    }
+    if (time === previous.time) {
+      return previous.motion;
+    }
+    if (time < previous.time) {
+      return empty; // Reporte atrasado, anterior ao último conhecido
+    }
+
+    const distance = haversineKm(previous.latitude, previous.longitude, bus.latitude, bus.longitude);
+    const hours = (time - previous.time) / 3600000;
+    const moved = distance >= MIN_BEARING_DISTANCE_KM;
+
+    return {
+      rumo: moved
+        ? parseFloat(bearingDegrees(previous.latitude, previous.longitude, bus.latitude, bus.longitude).toFixed(1))
+        : previous.motion.rumo,
+      velocidadeCalculada: parseFloat((distance / hours).toFixed(1)),
+      distanciaPercorrida: parseFloat(distance.toFixed(3))
+    };
+  }
+
+  /**
+   * Guarda um reporte como o último conhecido do veículo (repetidos e atrasados são ignorados)
+   * @param {Object} bus - Registro normalizado
+   * @param {number} time - Horário do reporte (ms)
+   * @param {Object} motion - Movimento calculado por `measure`
+   */
+  record(bus, time, motion) {
+    const previous = this.fixes.get(bus.ordem);
+    if (!isTrackable(bus, time) || (previous && time <= previous.time)) {
+      return;
+    }
+    this.fixes.set(bus.ordem, { time, latitude: bus.latitude, longitude: bus.longitude, motion });
+  }
+
+  /**
+   * Remove veículos sem reporte desde um instante
+   * @param {number} limit - Timestamp limite (ms)
+   */
+  forget(limit) {
+    for (const [ordem, fix] of this.fixes) {
+      if (fix.time < limit) {
+        this.fixes.delete(ordem);
+      }
+    }
+  }
+
+  get size() {
+    return this.fixes.size;
+  }
+}
+
+export default MotionTracker;
@@ -0,0 +1,103 @@
+import { describe, test, expect } from '@jest/globals';
+import { MotionTracker } from './motionTracker.js';
+
+const T0 = Date.parse('2026-01-01T10:00:00.000Z');
+
+const report = (ordem, latitude, longitude, minutes) =>
+  ({ ordem, latitude, longitude, dataHora: new Date(T0 + minutes * 60000).toISOString() });
+
+describe('MotionTracker', () => {
+  test('deixa os campos null no primeiro reporte', () => {
+    const tracker = new MotionTracker();
+    const bus = report('A1', -22.9, -43.2, 0);
+    tracker.apply([bus]);
+
+    expect(bus).toMatchObject({ rumo: null, velocidadeCalculada: null, distanciaPercorrida: null });
+  });
+
+  test('calcula rumo, velocidade e distância desde o reporte anterior', () => {
+    const tracker = new MotionTracker();
+    tracker.apply([report('A1', -22.9, -43.2, 0)]);
+
+    // 0,01° de latitude para o norte (~1,112 km) em 2 minutos
+    const bus = report('A1', -22.89, -43.2, 2);
+    tracker.apply([bus]);
+
+    expect(bus.rumo).toBe(0);
+    expect(bus.distanciaPercorrida).toBeCloseTo(1.112, 3);
+    expect(bus.velocidadeCalculada).toBeCloseTo(33.4, 1);
+  });
+
+  test.each([
+    ['leste', -22.9, -43.19, 90],
+    ['sul', -22.91, -43.2, 180],
+    ['oeste', -22.9, -43.21, 270]
+  ])('rumo para o %s', (_, latitude, longitude, expected) => {
+    const tracker = new MotionTracker();
+    tracker.apply([report('A1', -22.9, -43.2, 0)]);
+    const bus = report('A1', latitude, longitude, 1);
+    tracker.apply([bus]);
+
+    expect(bus.rumo).toBeCloseTo(expected, 0);
+  });
+
+  test('mantém o rumo anterior quando o deslocamento é ruído do GPS', () => {
+    const tracker = new MotionTracker();
+    tracker.apply([report('A1', -22.9, -43.2, 0)]);
+    tracker.apply([report('A1', -22.89, -43.2, 1)]);
+
+    const parked = report('A1', -22.89, -43.20005, 2); // ~5 m para oeste
+    tracker.apply([parked]);
+
+    expect(parked.rumo).toBe(0);
+    expect(parked.distanciaPercorrida).toBeLessThan(0.01);
+  });
+
+  test('processa vários reportes do mesmo veículo em ordem cronológica', () => {
+    const tracker = new MotionTracker();
+    const later = report('A1', -22.89, -43.2, 2);
+    const earlier = report('A1', -22.9, -43.2, 0);
+    tracker.apply([later, earlier]);
+
+    expect(earlier.velocidadeCalculada).toBeNull();
+    expect(later.rumo).toBe(0);
+  });
+
+  test('repete o cálculo original para um reporte repetido e ignora reportes atrasados', () => {
+    const tracker = new MotionTracker();
+    tracker.apply([report('A1', -22.9, -43.2, 0)]);
+    const first = report('A1', -22.89, -43.2, 2);
+    tracker.apply([first]);
+
+    const repeated = report('A1', -22.89, -43.2, 2);
+    const late = report('A1', -22.95, -43.2, 1);
+    tracker.apply([repeated, late]);
+
+    expect(repeated.velocidadeCalculada).toBe(first.velocidadeCalculada);
+    expect(late).toMatchObject({ rumo: null, velocidadeCalculada: null, distanciaPercorrida: null });
+  });
+
+  test('ignora registros sem ordem, horário ou coordenadas', () => {
+    const tracker = new MotionTracker();
+    tracker.apply([
+      report('', -22.9, -43.2, 0),
+      { ...report('A1', -22.9, -43.2, 0), dataHora: 'inválida' },
+      report('A2', 0, 0, 0)
+    ]);
+
+    expect(tracker.size).toBe(0);
+  });
+
+  test('esquece veículos sem reporte há mais de uma hora do reporte mais recente', () => {
+    const tracker = new MotionTracker();
+    tracker.apply([report('A1', -22.9, -43.2, 0), report('A2', -22.9, -43.2, 0)]);
+    tracker.apply([report('A2', -22.9, -43.2, 61)]);
+
+    expect(tracker.size).toBe(1);
+
+    // Sem o reporte anterior, o próximo de A1 volta a ser o primeiro
+    const back = report('A1', -22.89, -43.2, 62);
+    tracker.apply([back]);
+    expect(back.velocidadeCalculada).toBeNull();
+  });
+});
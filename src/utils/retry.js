@@ -0,0 +1,53 @@
+/**
+ * Aguarda um intervalo de tempo
+ * @param {number} ms - Tempo em milissegundos
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Calcula o atraso da próxima tentativa com backoff exponencial e jitter completo
+ * @param {number} attempt - Número da tentativa que falhou (começando em 1)
+ * @param {number} baseDelay - Atraso base em ms
+ * @param {number} maxDelay - Atraso máximo em ms
+ * @returns {number} Atraso em ms
+ */
+export function backoffDelay(attempt, baseDelay, maxDelay) {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Executa uma função assíncrona com novas tentativas em caso de falha
+ * @param {Function} fn - Função assíncrona a executar
+ * @param {Object} options - Opções de retry
+ * @param {number} options.attempts - Número total de tentativas
+ * @param {number} options.baseDelay - Atraso base do backoff em ms
+ * @param {number} options.maxDelay - Atraso máximo do backoff em ms
+ * @param {Function} [options.shouldRetry] - Decide se o erro permite nova tentativa
+ * @param {Function} [options.onRetry] - Chamado antes de cada nova tentativa (error, attempt, delay)
+ * @returns {Promise<*>} Resultado da função
+ */
+export async function retryWithBackoff(fn, { attempts = 3, baseDelay = 1000, maxDelay = 10000, shouldRetry = () => true, onRetry } = {}) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      lastError = error;
+
+      if (attempt === attempts || !shouldRetry(error)) {
+        break;
+      }
+
+      const delay = backoffDelay(attempt, baseDelay, maxDelay);
+      onRetry?.(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+
+  throw lastError;
+}
@@ -0,0 +1,56 @@
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import { backoffDelay, retryWithBackoff } from './retry.js';
+
+describe('backoffDelay', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('dobra o teto a cada tentativa até o atraso máximo', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.999999);
+
+    expect(backoffDelay(1, 100, 1000)).toBe(100);
+    expect(backoffDelay(2, 100, 1000)).toBe(200);
+    expect(backoffDelay(3, 100, 1000)).toBe(400);
+    expect(backoffDelay(5, 100, 1000)).toBe(1000);
+  });
+
+  test('aplica jitter completo entre zero e o teto', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect(backoffDelay(3, 100, 1000)).toBe(0);
+
+    Math.random.mockReturnValue(0.5);
+    expect(backoffDelay(3, 100, 1000)).toBe(200);
+  });
+});
+
+describe('retryWithBackoff', () => {
+  const options = { attempts: 3, baseDelay: 1, maxDelay: 1 };
+
+  test('retorna o resultado após falhas transitórias', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockResolvedValueOnce('ok');
+    const onRetry = jest.fn();
+
+    await expect(retryWithBackoff(fn, { ...options, onRetry })).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(fn).toHaveBeenNthCalledWith(2, 2);
+    expect(onRetry).toHaveBeenCalledWith(expect.any(Error), 1, expect.any(Number));
+  });
+
+  test('lança o último erro ao esgotar as tentativas', async () => {
+    let call = 0;
+    const fn = jest.fn(() => Promise.reject(new Error(`falha ${++call}`)));
+
+    await expect(retryWithBackoff(fn, options)).rejects.toThrow('falha 3');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('não repete erros que não permitem nova tentativa', async () => {
+    const fn = jest.fn(() => Promise.reject(Object.assign(new Error('não encontrado'), { status: 404 })));
+
+    await expect(retryWithBackoff(fn, { ...options, shouldRetry: error => error.status >= 500 })).rejects.toThrow('não encontrado');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
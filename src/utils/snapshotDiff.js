@@ -0,0 +1,145 @@
+/**
+ * Indexa os ônibus de um snapshot por ordem, mantendo o reporte mais recente de cada veículo
+ * @param {Array} buses - Ônibus do snapshot
+ * @returns {Map<string, Object>} Map<ordem, ônibus>
+ */
+export function indexByOrdem(buses) {
+  const byOrdem = new Map();
+  for (const bus of buses) {
+    if (!bus.ordem) {
+      continue;
+    }
+    const current = byOrdem.get(bus.ordem);
+    if (!current || Date.parse(bus.dataHora) > Date.parse(current.dataHora)) {
+      byOrdem.set(bus.ordem, bus);
+    }
+  }
+  return byOrdem;
+}
+
+/**
+ * Verifica se o veículo enviou um novo reporte (posição ou horário diferentes) ou mudou de estado
+ * @param {Object} previous - Ônibus no snapshot anterior
+ * @param {Object} current - Ônibus no snapshot atual
+ * @returns {boolean} Houve mudança
+ */
+function hasMoved(previous, current) {
+  return previous.latitude !== current.latitude ||
+    previous.longitude !== current.longitude ||
+    previous.dataHora !== current.dataHora ||
+    previous.status !== current.status; // Ex.: sem novo reporte, passa a sem_sinal
+}
+
+/**
+ * Calcula a diferença entre dois snapshots
+ * @param {Map<string, Object>} previous - Snapshot anterior indexado por ordem
+ * @param {Map<string, Object>} current - Snapshot atual indexado por ordem
+ * @returns {{ adicionados: Array, movidos: Array<{ atual: Object, anterior: Object }>, removidos: Array }}
+ *   Veículos novos, com novo reporte (com a posição anterior) e que saíram do snapshot (última posição conhecida)
+ */
+export function diffSnapshots(previous, current) {
+  const adicionados = [];
+  const movidos = [];
+  const removidos = [];
+
+  for (const [ordem, bus] of current) {
+    const before = previous.get(ordem);
+    if (!before) {
+      adicionados.push(bus);
+    } else if (hasMoved(before, bus)) {
+      movidos.push({ atual: bus, anterior: before });
+    }
+  }
+
+  for (const [ordem, bus] of previous) {
+    if (!current.has(ordem)) {
+      removidos.push(bus);
+    }
+  }
+
+  return { adicionados, movidos, removidos };
+}
+
+/**
+ * Recorta uma diferença para um filtro de cliente
+ *
+ * Um veículo que entrou na área do filtro aparece como adicionado e um que
+ * saiu dela como removido, mesmo que continue no snapshot.
+ *
+ * @param {Object} diff - Diferença calculada por `diffSnapshots`
+ * @param {Function} [predicate] - Filtro de ônibus (ausente = todos)
+ * @returns {{ adicionados: Array, movidos: Array, removidos: Array }} Diferença vista pelo cliente;
+ *   removidos trazem apenas `ordem` e `linha`
+ */
+export function filterDiff(diff, predicate = () => true) {
+  const adicionados = diff.adicionados.filter(predicate);
+  const movidos = [];
+  const removidos = diff.removidos.filter(predicate);
+
+  for (const { atual, anterior } of diff.movidos) {
+    const inside = predicate(atual);
+    const wasInside = predicate(anterior);
+    if (inside && wasInside) {
+      movidos.push(atual);
+    } else if (inside) {
+      adicionados.push(atual);
+    } else if (wasInside) {
+      removidos.push(anterior);
+    }
+  }
+
+  return {
+    adicionados,
+    movidos,
+    removidos: removidos.map(({ ordem, linha }) => ({ ordem, linha }))
+  };
+}
+
+/**
+ * Combina diferenças consecutivas em uma única diferença líquida
+ *
+ * Um veículo que saiu e voltou no intervalo conta como movido; um que entrou
+ * e saiu no intervalo não aparece.
+ *
+ * @param {Array} diffs - Diferenças em ordem cronológica (cada uma no formato de `diffSnapshots`)
+ * @returns {{ adicionados: Array, movidos: Array<{ atual: Object, anterior: Object }>, removidos: Array }} Diferença líquida
+ */
+export function composeDiffs(diffs) {
+  // Por veículo: estado no início do intervalo (ou null) e estado mais recente (ou null)
+  const changes = new Map();
+  const track = (ordem, before, after) => {
+    const change = changes.get(ordem);
+    if (change) {
+      change.after = after;
+    } else {
+      changes.set(ordem, { before, after });
+    }
+  };
+
+  for (const diff of diffs) {
+    for (const bus of diff.adicionados) {
+      track(bus.ordem, null, bus);
+    }
+    for (const { atual, anterior } of diff.movidos) {
+      track(atual.ordem, anterior, atual);
+    }
+    for (const bus of diff.removidos) {
+      track(bus.ordem, bus, null);
+    }
+  }
+
+  const adicionados = [];
+  const movidos = [];
+  const removidos = [];
+  for (const { before, after } of changes.values()) {
+    if (before && after) {
+      movidos.push({ atual: after, anterior: before });
+    } else if (after) {
+      adicionados.push(after);
+    } else if (before) {
+      removidos.push(before);
+    }
+  }
+
+  return { adicionados, movidos, removidos };
+}
@@ -0,0 +1,125 @@
+import { describe, test, expect } from '@jest/globals';
+import { indexByOrdem, diffSnapshots, filterDiff, composeDiffs } from './snapshotDiff.js';
+
+const bus = (ordem, latitude, dataHora = '2026-01-01T10:00:00.000Z', extra = {}) =>
+  ({ ordem, linha: '232', latitude, longitude: -43.2, dataHora, ...extra });
+
+const ordens = list => list.map(item => (item.atual ?? item).ordem).sort();
+
+describe('indexByOrdem', () => {
+  test('mantém o reporte mais recente de cada veículo e ignora registros sem ordem', () => {
+    const index = indexByOrdem([
+      bus('A1', -22.9, '2026-01-01T10:00:00.000Z'),
+      bus('A1', -22.8, '2026-01-01T10:01:00.000Z'),
+      bus('A1', -22.7, '2026-01-01T09:59:00.000Z'),
+      bus('', -22.9)
+    ]);
+
+    expect(index.size).toBe(1);
+    expect(index.get('A1').latitude).toBe(-22.8);
+  });
+});
+
+describe('diffSnapshots', () => {
+  test('separa adicionados, movidos e removidos', () => {
+    const previous = indexByOrdem([bus('A1', -22.9), bus('A2', -22.9), bus('A3', -22.9)]);
+    const current = indexByOrdem([
+      bus('A1', -22.9),
+      bus('A2', -22.91, '2026-01-01T10:01:00.000Z'),
+      bus('A4', -22.9)
+    ]);
+
+    const diff = diffSnapshots(previous, current);
+    expect(ordens(diff.adicionados)).toEqual(['A4']);
+    expect(ordens(diff.movidos)).toEqual(['A2']);
+    expect(diff.movidos[0].anterior.latitude).toBe(-22.9);
+    expect(ordens(diff.removidos)).toEqual(['A3']);
+  });
+
+  test('considera movido o veículo que só mudou de estado', () => {
+    const previous = indexByOrdem([bus('A1', -22.9, undefined, { status: 'parado' })]);
+    const current = indexByOrdem([bus('A1', -22.9, undefined, { status: 'sem_sinal' })]);
+
+    expect(ordens(diffSnapshots(previous, current).movidos)).toEqual(['A1']);
+  });
+});
+
+describe('filterDiff', () => {
+  const north = item => item.latitude > -22.9;
+
+  test('converte entradas e saídas do filtro em adicionados e removidos', () => {
+    const diff = {
+      adicionados: [bus('N1', -22.8), bus('S1', -23.0)],
+      movidos: [
+        { atual: bus('IN', -22.8), anterior: bus('IN', -22.95) },
+        { atual: bus('OUT', -22.95), anterior: bus('OUT', -22.8) },
+        { atual: bus('STAY', -22.81), anterior: bus('STAY', -22.8) },
+        { atual: bus('AWAY', -23.0), anterior: bus('AWAY', -23.1) }
+      ],
+      removidos: [bus('N2', -22.8), bus('S2', -23.0)]
+    };
+
+    const filtered = filterDiff(diff, north);
+    expect(ordens(filtered.adicionados)).toEqual(['IN', 'N1']);
+    expect(ordens(filtered.movidos)).toEqual(['STAY']);
+    expect(filtered.removidos).toEqual([{ ordem: 'N2', linha: '232' }, { ordem: 'OUT', linha: '232' }]);
+  });
+
+  test('sem filtro mantém tudo e reduz os removidos a ordem e linha', () => {
+    const filtered = filterDiff({ adicionados: [bus('A1', -22.9)], movidos: [], removidos: [bus('A2', -22.9)] });
+
+    expect(filtered.adicionados).toHaveLength(1);
+    expect(filtered.removidos).toEqual([{ ordem: 'A2', linha: '232' }]);
+  });
+});
+
+describe('composeDiffs', () => {
+  test('acumula os movimentos desde a primeira posição', () => {
+    const first = bus('A1', -22.9);
+    const second = bus('A1', -22.91, '2026-01-01T10:01:00.000Z');
+    const third = bus('A1', -22.92, '2026-01-01T10:02:00.000Z');
+
+    const net = composeDiffs([
+      { adicionados: [], movidos: [{ atual: second, anterior: first }], removidos: [] },
+      { adicionados: [], movidos: [{ atual: third, anterior: second }], removidos: [] }
+    ]);
+
+    expect(net.movidos).toEqual([{ atual: third, anterior: first }]);
+  });
+
+  test('veículo que saiu e voltou conta como movido', () => {
+    const before = bus('A1', -22.9);
+    const after = bus('A1', -22.95, '2026-01-01T10:05:00.000Z');
+
+    const net = composeDiffs([
+      { adicionados: [], movidos: [], removidos: [before] },
+      { adicionados: [after], movidos: [], removidos: [] }
+    ]);
+
+    expect(net).toEqual({ adicionados: [], movidos: [{ atual: after, anterior: before }], removidos: [] });
+  });
+
+  test('veículo que entrou e saiu no intervalo não aparece', () => {
+    const transient = bus('A1', -22.9);
+
+    const net = composeDiffs([
+      { adicionados: [transient], movidos: [], removidos: [] },
+      { adicionados: [], movidos: [], removidos: [transient] }
+    ]);
+
+    expect(net).toEqual({ adicionados: [], movidos: [], removidos: [] });
+  });
+
+  test('veículo adicionado e depois movido continua adicionado, com a posição mais recente', () => {
+    const added = bus('A1', -22.9);
+    const moved = bus('A1', -22.91, '2026-01-01T10:01:00.000Z');
+
+    const net = composeDiffs([
+      { adicionados: [added], movidos: [], removidos: [] },
+      { adicionados: [], movidos: [{ atual: moved, anterior: added }], removidos: [] }
+    ]);
+
+    expect(net.adicionados).toEqual([moved]);
+    expect(net.movidos).toEqual([]);
+  });
+});
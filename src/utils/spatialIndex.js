@@ -0,0 +1,156 @@
+import { haversineKm, radiusToDegrees, KM_PER_DEGREE } from './geo.js';
+
+/**
+ * Índice espacial em grade uniforme (células de tamanho fixo em graus)
+ *
+ * Consultas por raio visitam apenas as células que intersectam o retângulo
+ * envolvente do círculo, em vez de percorrer todos os itens.
+ */
+export class SpatialGrid {
+  /**
+   * @param {number} cellSize - Tamanho da célula em graus
+   */
+  constructor(cellSize = 0.01) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // Map<"linha:coluna", Array<item>>
+    this.size = 0;
+  }
+
+  /**
+   * Monta um índice a partir de itens com `latitude` e `longitude`
+   * @param {Array} items - Itens a indexar
+   * @param {number} cellSize - Tamanho da célula em graus
+   * @returns {SpatialGrid} Índice montado
+   */
+  static build(items, cellSize) {
+    const grid = new SpatialGrid(cellSize);
+    for (const item of items) {
+      grid.insert(item);
+    }
+    return grid;
+  }
+
+  cellCoord(value) {
+    return Math.floor(value / this.cellSize);
+  }
+
+  /**
+   * Insere um item no índice (itens sem coordenadas válidas são ignorados)
+   * @param {Object} item - Item com `latitude` e `longitude`
+   */
+  insert(item) {
+    const { latitude, longitude } = item;
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || !latitude || !longitude) {
+      return;
+    }
+
+    const key = `${this.cellCoord(latitude)}:${this.cellCoord(longitude)}`;
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = [];
+      this.cells.set(key, cell);
+    }
+    cell.push(item);
+    this.size++;
+  }
+
+  /**
+   * Percorre os itens das células que intersectam um retângulo
+   * @param {number} minLat - Latitude mínima
+   * @param {number} minLon - Longitude mínima
+   * @param {number} maxLat - Latitude máxima
+   * @param {number} maxLon - Longitude máxima
+   * @returns {Generator<Object>} Itens candidatos
+   */
+  *candidates(minLat, minLon, maxLat, maxLon) {
+    const rowStart = this.cellCoord(minLat);
+    const rowEnd = this.cellCoord(maxLat);
+    const colStart = this.cellCoord(minLon);
+    const colEnd = this.cellCoord(maxLon);
+
+    // Retângulos maiores que a grade ocupada: percorrer as células existentes é mais barato
+    if ((rowEnd - rowStart + 1) * (colEnd - colStart + 1) > this.cells.size) {
+      for (const [key, cell] of this.cells) {
+        const [row, col] = key.split(':').map(Number);
+        if (row >= rowStart && row <= rowEnd && col >= colStart && col <= colEnd) {
+          yield* cell;
+        }
+      }
+      return;
+    }
+
+    for (let row = rowStart; row <= rowEnd; row++) {
+      for (let col = colStart; col <= colEnd; col++) {
+        const cell = this.cells.get(`${row}:${col}`);
+        if (cell) {
+          yield* cell;
+        }
+      }
+    }
+  }
+
+  /**
+   * Busca os itens dentro de um raio
+   * @param {number} lat - Latitude do centro
+   * @param {number} lon - Longitude do centro
+   * @param {number} radiusKm - Raio em quilômetros
+   * @returns {Array<{ item: Object, distanceKm: number }>} Itens dentro do raio com a distância
+   */
+  withinRadius(lat, lon, radiusKm) {
+    const { dLat, dLon } = radiusToDegrees(lat, radiusKm);
+    const results = [];
+
+    for (const item of this.candidates(lat - dLat, lon - dLon, lat + dLat, lon + dLon)) {
+      const distanceKm = haversineKm(lat, lon, item.latitude, item.longitude);
+      if (distanceKm <= radiusKm) {
+        results.push({ item, distanceKm });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Busca os k itens mais próximos de um ponto, ampliando o raio de busca até encontrá-los
+   * @param {number} lat - Latitude do ponto
+   * @param {number} lon - Longitude do ponto
+   * @param {number} k - Quantidade de itens
+   * @param {Function} [filter] - Considerar apenas os itens aceitos pelo predicado
+   * @returns {Array<{ item: Object, distanceKm: number }>} Itens ordenados pela distância
+   */
+  nearest(lat, lon, k, filter) {
+    let radiusKm = this.cellSize * KM_PER_DEGREE;
+    let found = this.withinRadius(lat, lon, radiusKm);
+    let results = filter ? found.filter(({ item }) => filter(item)) : found;
+
+    // Todos os itens dentro do raio são conhecidos: com k ou mais, os k mais próximos estão entre eles
+    while (results.length < k && found.length < this.size) {
+      radiusKm *= 2;
+      found = this.withinRadius(lat, lon, radiusKm);
+      results = filter ? found.filter(({ item }) => filter(item)) : found;
+    }
+
+    return results
+      .sort((a, b) => a.distanceKm - b.distanceKm)
+      .slice(0, k);
+  }
+
+  /**
+   * Busca os itens dentro de um retângulo
+   * @param {number} minLon - Longitude mínima
+   * @param {number} minLat - Latitude mínima
+   * @param {number} maxLon - Longitude máxima
+   * @param {number} maxLat - Latitude máxima
+   * @returns {Array<Object>} Itens dentro do retângulo
+   */
+  withinBBox(minLon, minLat, maxLon, maxLat) {
+    const results = [];
+    for (const item of this.candidates(minLat, minLon, maxLat, maxLon)) {
+      if (item.latitude >= minLat && item.latitude <= maxLat && item.longitude >= minLon && item.longitude <= maxLon) {
+        results.push(item);
+      }
+    }
+    return results;
+  }
+}
+
+export default SpatialGrid;
@@ -0,0 +1,86 @@
+import { describe, test, expect } from '@jest/globals';
+import { SpatialGrid } from './spatialIndex.js';
+import { haversineKm } from './geo.js';
+
+// Pontos espalhados de forma determinística pelo centro do Rio
+function points(count) {
+  const items = [];
+  for (let i = 0; i < count; i++) {
+    items.push({
+      id: i,
+      latitude: -22.95 + ((i * 37) % 100) / 1000,
+      longitude: -43.25 + ((i * 61) % 100) / 1000
+    });
+  }
+  return items;
+}
+
+const ids = results => results.map(result => (result.item ?? result).id).sort((a, b) => a - b);
+
+describe('SpatialGrid', () => {
+  const items = points(100);
+  const grid = SpatialGrid.build(items, 0.01);
+
+  test('ignora itens sem coordenadas válidas', () => {
+    const partial = SpatialGrid.build([
+      { id: 1, latitude: -22.9, longitude: -43.2 },
+      { id: 2, latitude: 0, longitude: -43.2 },
+      { id: 3, latitude: NaN, longitude: -43.2 },
+      { id: 4, latitude: -22.9, longitude: null }
+    ]);
+
+    expect(partial.size).toBe(1);
+  });
+
+  test.each([0.3, 1, 5, 50])('withinRadius(%p km) coincide com a busca exaustiva', radiusKm => {
+    const [lat, lon] = [-22.905, -43.205];
+    const expected = items.filter(item => haversineKm(lat, lon, item.latitude, item.longitude) <= radiusKm);
+
+    const results = grid.withinRadius(lat, lon, radiusKm);
+    expect(ids(results)).toEqual(ids(expected));
+    for (const { item, distanceKm } of results) {
+      expect(distanceKm).toBeCloseTo(haversineKm(lat, lon, item.latitude, item.longitude), 9);
+    }
+  });
+
+  test('encontra itens em células vizinhas à do centro', () => {
+    const border = SpatialGrid.build([
+      { id: 1, latitude: -22.9001, longitude: -43.2001 },
+      { id: 2, latitude: -22.8999, longitude: -43.1999 }
+    ], 0.01);
+
+    expect(ids(border.withinRadius(-22.9001, -43.2001, 0.1))).toEqual([1, 2]);
+  });
+
+  test('nearest retorna os k mais próximos em ordem de distância', () => {
+    const [lat, lon] = [-22.93, -43.2];
+    const expected = items
+      .map(item => ({ id: item.id, distanceKm: haversineKm(lat, lon, item.latitude, item.longitude) }))
+      .sort((a, b) => a.distanceKm - b.distanceKm)
+      .slice(0, 5);
+
+    const results = grid.nearest(lat, lon, 5);
+    expect(results.map(({ item }) => item.id)).toEqual(expected.map(({ id }) => id));
+  });
+
+  test('nearest amplia o raio até achar itens aceitos pelo filtro', () => {
+    const results = grid.nearest(-22.95, -43.25, 3, item => item.id % 20 === 0);
+
+    expect(results).toHaveLength(3);
+    expect(results.every(({ item }) => item.id % 20 === 0)).toBe(true);
+  });
+
+  test('nearest retorna todos os itens quando k excede o índice', () => {
+    expect(grid.nearest(-22.9, -43.2, 1000)).toHaveLength(items.length);
+  });
+
+  test('withinBBox retorna apenas os itens dentro do retângulo', () => {
+    const bbox = [-43.23, -22.93, -43.21, -22.91];
+    const expected = items.filter(item =>
+      item.longitude >= bbox[0] && item.latitude >= bbox[1] && item.longitude <= bbox[2] && item.latitude <= bbox[3]
+    );
+
+    expect(expected.length).toBeGreaterThan(0);
+    expect(ids(grid.withinBBox(...bbox))).toEqual(ids(expected));
+  });
+});